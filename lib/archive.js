@@ -0,0 +1,159 @@
+// Minimal zip and tar readers for applying add-ins from local archives
+
+const zlib = require('zlib');
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Read the files in a zip archive, returns a list of { path, data }
+ */
+function extractZip(buffer) {
+    // End of central directory record is at the end, before an optional comment of up to 64KB
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIR) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('Invalid zip archive, end of central directory not found');
+    }
+
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+        throw new Error('Zip64 archives are not supported');
+    }
+
+    const files = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+            throw new Error('Invalid zip archive, corrupt central directory');
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) {
+            throw new Error(`Encrypted zip entry '${name}' is not supported`);
+        }
+
+        if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+            throw new Error(`Invalid zip archive, corrupt local header for '${name}'`);
+        }
+        const dataStart = localOffset + 30
+            + buffer.readUInt16LE(localOffset + 26)
+            + buffer.readUInt16LE(localOffset + 28);
+        const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === 0) {
+            data = Buffer.from(compressed);
+        } else if (method === 8) {
+            data = zlib.inflateRawSync(compressed);
+        } else {
+            throw new Error(`Unsupported compression method ${method} for zip entry '${name}'`);
+        }
+        files.push({ path: name, data });
+    }
+    return files;
+}
+
+/**
+ * Read an octal number field from a tar header
+ */
+function readTarNumber(header, start, length) {
+    const str = header.toString('ascii', start, start + length).replace(/\0.*$/, '').trim();
+    return str ? parseInt(str, 8) : 0;
+}
+
+/**
+ * Read a NUL terminated string field from a tar header
+ */
+function readTarString(header, start, length) {
+    const str = header.toString('utf8', start, start + length);
+    const end = str.indexOf('\0');
+    return end === -1 ? str : str.substring(0, end);
+}
+
+/**
+ * Read the files in a tar archive, gzipped archives are decompressed first.
+ * Returns a list of { path, data }
+ */
+function extractTar(buffer) {
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer);
+    }
+
+    const files = [];
+    let offset = 0;
+    let longName = null;
+    let paxPath = null;
+
+    while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+        const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+        if (header.every(b => b === 0)) break;
+
+        const size = readTarNumber(header, 124, 12);
+        const type = String.fromCharCode(header[156] || 0x30);
+        const data = buffer.subarray(offset + TAR_BLOCK_SIZE, offset + TAR_BLOCK_SIZE + size);
+        offset += TAR_BLOCK_SIZE + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+        let name = readTarString(header, 0, 100);
+        if (header.toString('ascii', 257, 262) === 'ustar') {
+            const prefix = readTarString(header, 345, 155);
+            if (prefix) name = `${prefix}/${name}`;
+        }
+
+        if (type === 'L') {
+            // GNU long file name for the next entry
+            longName = readTarString(data, 0, data.length);
+            continue;
+        }
+        if (type === 'x') {
+            // PAX extended header for the next entry
+            const match = data.toString('utf8').match(/^\d+ path=(.*)$/m);
+            paxPath = match ? match[1] : null;
+            continue;
+        }
+        if (type === 'g') continue;
+
+        if (type === '0' || type === '\0' || type === '7') {
+            files.push({ path: paxPath || longName || name, data: Buffer.from(data) });
+        }
+        longName = null;
+        paxPath = null;
+    }
+    return files;
+}
+
+/**
+ * Remove the top-level folder when every file in an archive is inside the same one,
+ * e.g. the 'repo-main/' folder in GitHub's archive downloads
+ */
+function stripCommonRoot(files) {
+    const roots = new Set(files.map(f => f.path.replace(/^\.\//, '').split('/')[0]));
+    const nested = files.every(f => f.path.replace(/^\.\//, '').includes('/'));
+    if (roots.size !== 1 || !nested) {
+        return files.map(f => ({ ...f, path: f.path.replace(/^\.\//, '') }));
+    }
+    const root = [...roots][0] + '/';
+    return files.map(f => ({ ...f, path: f.path.replace(/^\.\//, '').substring(root.length) }));
+}
+
+module.exports = {
+    extractZip,
+    extractTar,
+    stripCommonRoot,
+};
@@ -0,0 +1,178 @@
+// Default options from a project config file (.add-inrc.json or an "add-in" key in package.json) and a user config file
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_FILE = '.add-inrc.json';
+const PACKAGE_KEY = 'add-in';
+
+// Config keys and the mixer options they set
+const CONFIG_OPTIONS = {
+    source: 'source',
+    name: 'projectName',
+    replace: 'replaceTokens',
+    out: 'outDir',
+    preserve: 'preserve',
+    initAllowlist: 'initAllowlist',
+};
+
+/**
+ * Read a JSON config file, or the "add-in" key of a package.json. Returns undefined if a package.json doesn't
+ * have one or can't be read, as it may belong to an unrelated project
+ */
+function readConfigFile(file) {
+    const isPackage = path.basename(file) === 'package.json';
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (isPackage) return undefined;
+        throw new Error(`Could not read config ${file}: ${e.message}`);
+    }
+    if (isPackage) {
+        json = json && json[PACKAGE_KEY];
+        if (json === undefined) return undefined;
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error(`Invalid config ${file}: expected an object`);
+    }
+    return json;
+}
+
+/**
+ * Find the nearest project config by walking up from a directory, a .add-inrc.json takes precedence over
+ * a package.json in the same directory. Returns { file, config } or null if there isn't one
+ */
+function findProjectConfig(dir) {
+    let current = path.resolve(dir);
+    while (true) {
+        for (const name of [CONFIG_FILE, 'package.json']) {
+            const file = path.join(current, name);
+            if (!fs.existsSync(file)) continue;
+            const config = readConfigFile(file);
+            if (config !== undefined) return { file, config };
+        }
+        const parent = path.dirname(current);
+        if (parent === current) return null;
+        current = parent;
+    }
+}
+
+/**
+ * Validate a config and convert it to mixer options. Relative paths in `source` and `out` are resolved
+ * from the directory of the config file, `out` is an absolute path so it's the same folder from any subdirectory
+ */
+function parseConfig(config, file) {
+    const options = {};
+    const invalid = message => new Error(`Invalid config ${file}: ${message}`);
+    const dir = path.dirname(file);
+
+    for (const [key, value] of Object.entries(config)) {
+        if (!(key in CONFIG_OPTIONS)) {
+            throw invalid(`unknown setting '${key}', expected one of ${Object.keys(CONFIG_OPTIONS).join(', ')}`);
+        }
+        switch (key) {
+            case 'source':
+                if (!(typeof value === 'string' && value) && !(Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v))) {
+                    throw invalid(`'${key}' must be a registry or an array of registries, e.g. ["acme=./mix.md", "<gist-id>"]`);
+                }
+                break;
+            case 'name':
+            case 'out':
+                if (typeof value !== 'string' || !value) throw invalid(`'${key}' must be a non-empty string`);
+                break;
+            case 'preserve':
+                if (typeof value !== 'boolean') throw invalid(`'${key}' must be true or false`);
+                break;
+            case 'replace':
+                if (!value || typeof value !== 'object' || Array.isArray(value) || !Object.values(value).every(v => typeof v === 'string')) {
+                    throw invalid(`'${key}' must be an object of terms and their replacements, e.g. { "Acme": "Contoso" }`);
+                }
+                break;
+            case 'initAllowlist':
+                if (!Array.isArray(value) || !value.every(v => typeof v === 'string' && v.trim())) {
+                    throw invalid(`'${key}' must be an array of command prefixes, e.g. ["npm install", "dotnet add package"]`);
+                }
+                break;
+        }
+    }
+
+    if (config.source !== undefined) {
+        // Sources can have a prefix, e.g. acme=./mix.md
+        const resolveSource = source => source.replace(/^([\w-]+=)?(\.{1,2}[\\/].*)$/, (_, prefix, relativePath) =>
+            (prefix || '') + path.resolve(dir, relativePath));
+        options.source = Array.isArray(config.source) ? config.source.map(resolveSource) : resolveSource(config.source);
+    }
+    if (config.name !== undefined) {
+        options.projectName = config.name;
+    }
+    if (config.replace !== undefined) {
+        options.replaceTokens = Object.entries(config.replace);
+    }
+    if (config.out !== undefined) {
+        options.outDir = path.resolve(dir, config.out);
+    }
+    if (config.preserve !== undefined) {
+        options.preserve = config.preserve;
+    }
+    if (config.initAllowlist !== undefined) {
+        options.initAllowlist = config.initAllowlist.map(c => c.trim());
+    }
+    return options;
+}
+
+/**
+ * Load the user config in the home directory and the nearest project config, where project settings
+ * override user settings. Returns { options, origins } with the config file each option came from
+ */
+function loadConfig({ cwd = process.cwd(), home = os.homedir() } = {}) {
+    const options = {};
+    const origins = {};
+    const apply = (config, file) => {
+        for (const [name, value] of Object.entries(parseConfig(config, file))) {
+            options[name] = value;
+            origins[name] = file;
+        }
+    };
+
+    const userFile = home ? path.join(home, CONFIG_FILE) : null;
+    const project = findProjectConfig(cwd);
+    if (userFile && fs.existsSync(userFile) && (!project || path.resolve(project.file) !== path.resolve(userFile))) {
+        apply(readConfigFile(userFile), userFile);
+    }
+    if (project) {
+        apply(project.config, project.file);
+    }
+    return { options, origins };
+}
+
+/**
+ * Merge command line options over config options. The MIX_SOURCE environment variable overrides a
+ * configured source, and a configured replace is only used when no replacements are on the command line.
+ * Returns { options, origins } where origins describe where each configurable setting came from
+ */
+function mergeConfig(cliOptions, config, env = process.env) {
+    const options = { ...cliOptions };
+    const origins = {};
+    for (const name of Object.values(CONFIG_OPTIONS)) {
+        const cliValue = cliOptions[name];
+        if (cliValue !== undefined && !(Array.isArray(cliValue) && cliValue.length === 0)) {
+            origins[name] = 'command line';
+        } else if (name === 'source' && env.MIX_SOURCE) {
+            options.source = env.MIX_SOURCE;
+            origins[name] = 'MIX_SOURCE';
+        } else if (config.options[name] !== undefined) {
+            options[name] = config.options[name];
+            origins[name] = config.origins[name];
+        }
+    }
+    return { options, origins };
+}
+
+module.exports = {
+    CONFIG_FILE,
+    findProjectConfig,
+    loadConfig,
+    mergeConfig,
+};
@@ -0,0 +1,256 @@
+// Line based diff and merge utilities used to preview and update files
+
+// Give up on finding a minimal diff for files that are almost entirely different
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines, ignoring the empty line after a trailing newline
+ */
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Diff two arrays of lines using Myers' algorithm.
+ * Returns a list of { type, line } where type is ' ' (equal), '-' (removed) or '+' (added)
+ */
+function diffLines(a, b) {
+    // Trim common prefix and suffix to keep the search space small
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const prefix = a.slice(0, start).map(line => ({ type: ' ', line }));
+    const suffix = a.slice(endA).map(line => ({ type: ' ', line }));
+    const middle = myersDiff(a.slice(start, endA), b.slice(start, endB));
+    return prefix.concat(middle, suffix);
+}
+
+/**
+ * Shortest edit script between two arrays of lines
+ */
+function myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0) return b.map(line => ({ type: '+', line }));
+    if (m === 0) return a.map(line => ({ type: '-', line }));
+
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        // Only diagonals -d..d are read in this step, store just those for backtracking
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                return backtrack(a, b, trace);
+            }
+        }
+    }
+
+    // Too many differences, treat as a full replacement
+    return a.map(line => ({ type: '-', line })).concat(b.map(line => ({ type: '+', line })));
+}
+
+/**
+ * Walk the Myers trace backwards to build the edit script
+ */
+function backtrack(a, b, trace) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const at = k => v[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = d === 0 ? 0 : prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (d === 0) break;
+        if (x === prevX) {
+            ops.push({ type: '+', line: b[y - 1] });
+            y--;
+        } else {
+            ops.push({ type: '-', line: a[x - 1] });
+            x--;
+        }
+    }
+    return ops.reverse();
+}
+
+/**
+ * Create a unified diff between two texts, returns an empty string if they're the same
+ */
+function unifiedDiff(oldText, newText, oldLabel = 'a', newLabel = 'b', context = 3) {
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    if (!ops.some(op => op.type !== ' ')) return '';
+
+    const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+
+    // Line numbers of each op in the old and new text
+    let oldLine = 0;
+    let newLine = 0;
+    const numbered = ops.map(op => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+        return entry;
+    });
+
+    let i = 0;
+    while (i < numbered.length) {
+        if (numbered[i].type === ' ') {
+            i++;
+            continue;
+        }
+
+        // Extend the hunk while the gap between changes fits within the context
+        const start = Math.max(0, i - context);
+        let end = i;
+        let lastChange = i;
+        while (end < numbered.length) {
+            if (numbered[end].type !== ' ') {
+                lastChange = end;
+            } else if (end - lastChange > context * 2) {
+                break;
+            }
+            end++;
+        }
+        end = Math.min(numbered.length, lastChange + context + 1);
+
+        const hunk = numbered.slice(start, end);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        const oldStart = oldCount > 0 ? hunk[0].oldLine + 1 : hunk[0].oldLine;
+        const newStart = newCount > 0 ? hunk[0].newLine + 1 : hunk[0].newLine;
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const op of hunk) {
+            lines.push(op.type + op.line);
+        }
+        i = end;
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Add terminal colors to a unified diff
+ */
+function colorizeDiff(diff) {
+    return diff.split('\n').map(line => {
+        if (line.startsWith('---') || line.startsWith('+++')) return `\x1b[1m${line}\x1b[0m`;
+        if (line.startsWith('@@')) return `\x1b[36m${line}\x1b[0m`;
+        if (line.startsWith('+')) return `\x1b[32m${line}\x1b[0m`;
+        if (line.startsWith('-')) return `\x1b[31m${line}\x1b[0m`;
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Map each line in `base` to its index in `other` when it's unchanged, or -1 if it was removed
+ */
+function matchLines(base, other) {
+    const matches = new Array(base.length).fill(-1);
+    let baseIndex = 0;
+    let otherIndex = 0;
+    for (const op of diffLines(base, other)) {
+        if (op.type === ' ') matches[baseIndex++] = otherIndex++;
+        else if (op.type === '-') baseIndex++;
+        else otherIndex++;
+    }
+    return matches;
+}
+
+/**
+ * Three-way merge of line based text. Changes made in `ours` and `theirs` since `base` are combined,
+ * overlapping changes that differ are wrapped in conflict markers.
+ * Returns { text, conflicts } where conflicts is the number of conflicting regions
+ */
+function merge3(ours, base, theirs, oursLabel = 'ours', theirsLabel = 'theirs') {
+    const a = splitLines(ours);
+    const o = splitLines(base);
+    const b = splitLines(theirs);
+    const matchA = matchLines(o, a);
+    const matchB = matchLines(o, b);
+
+    const result = [];
+    let conflicts = 0;
+    let io = 0;
+    let ia = 0;
+    let ib = 0;
+    const same = (x, y) => x.length === y.length && x.every((line, i) => line === y[i]);
+
+    while (io < o.length || ia < a.length || ib < b.length) {
+        // Base line unchanged on both sides
+        if (io < o.length && matchA[io] === ia && matchB[io] === ib) {
+            result.push(o[io]);
+            io++;
+            ia++;
+            ib++;
+            continue;
+        }
+
+        // Find the next base line that's unchanged on both sides
+        let next = io;
+        while (next < o.length && (matchA[next] === -1 || matchB[next] === -1)) {
+            next++;
+        }
+        const aEnd = next < o.length ? matchA[next] : a.length;
+        const bEnd = next < o.length ? matchB[next] : b.length;
+
+        const baseChunk = o.slice(io, next);
+        const aChunk = a.slice(ia, aEnd);
+        const bChunk = b.slice(ib, bEnd);
+
+        if (same(aChunk, baseChunk)) {
+            result.push(...bChunk);
+        } else if (same(bChunk, baseChunk) || same(aChunk, bChunk)) {
+            result.push(...aChunk);
+        } else {
+            conflicts++;
+            result.push(`<<<<<<< ${oursLabel}`, ...aChunk, '=======', ...bChunk, `>>>>>>> ${theirsLabel}`);
+        }
+
+        io = next;
+        ia = aEnd;
+        ib = bEnd;
+    }
+
+    const eol = (ours || theirs || '').endsWith('\n') && result.length > 0 ? '\n' : '';
+    return { text: result.join('\n') + eol, conflicts };
+}
+
+module.exports = {
+    splitLines,
+    diffLines,
+    unifiedDiff,
+    colorizeDiff,
+    merge3,
+};
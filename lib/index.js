@@ -2,11 +2,21 @@
 
 const https = require('https');
 const http = require('http');
-const fs = require('fs');
 const path = require('path');
+const util = require('util');
 const readline = require('readline');
 const { execSync, spawn } = require('child_process');
 const os = require('os');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const { EventEmitter } = require('events');
+const { unifiedDiff, colorizeDiff, merge3 } = require('./diff');
+const { extractZip, extractTar, stripCommonRoot } = require('./archive');
+const { applyXmlPatch } = require('./xml');
+const { applyInjections } = require('./inject');
+const { pickGists } = require('./picker');
+const { parseSearchQuery, searchLinks, highlightTerms } = require('./search');
+const { loadConfig, mergeConfig } = require('./config');
 
 // Configuration
 const DEFAULT_GIST_LINKS_ID = '9b32b03f207a191099137429051ebde8';
@@ -18,21 +28,17 @@ const GIST_ID_LENGTH_SHORT = 20;
 const GIST_ID_LENGTH_LONG = 32;
 const GIST_ID_LENGTH_FULL = 40;
 
-// Global state
-let gistLinksId = process.env.MIX_SOURCE || DEFAULT_GIST_LINKS_ID;
-let gitHubToken = process.env.GITHUB_TOKEN || '';
-let verbose = false;
-let silent = false;
-let forceApproval = false;
-let preserve = false;
-let outDir = null;
-let projectName = null;
-let replaceTokens = [];
-let ignoreSslErrors = false;
-
-// Cache for gist links and files
-const gistLinksCache = new Map();
-const gistFilesCache = new Map();
+// Seconds before cached API responses are revalidated
+const DEFAULT_CACHE_TTL = 60 * 60;
+
+// Milliseconds before requests time out, and retries of failed requests which wait 1s, 2s, 4s... between attempts
+const HTTP_TIMEOUT = 30 * 1000;
+const HTTP_RETRIES = 3;
+const HTTP_RETRY_DELAY = 1000;
+const MAX_REDIRECTS = 5;
+
+// Network errors that are retried, others like invalid certificates aren't
+const RETRY_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
 
 // Host files to search for when resolving $HOST
 const HOST_FILES = [
@@ -44,55 +50,78 @@ const HOST_FILES = [
     '*.csproj',
 ];
 
+// Files in the _init directory that allowed commands like `dotnet add` and `npm install` modify
+const INIT_MODIFIED_FILES = [
+    '*.csproj',
+    'package.json',
+    'package-lock.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'pubspec.yaml',
+    'pubspec.lock',
+    'packages.config',
+    'nuget.config',
+];
+
+// Project-local record of what each applied add-in wrote
+const MANIFEST_DIR = '.add-in';
+const MANIFEST_FILE = 'manifest.json';
+const HISTORY_DIR = 'history';
+
+// Modifiers of registry entries, e.g. {to:"$HOST",deps:"db-sqlite"}
+const GIST_LINK_MODIFIERS = ['to', 'deps', 'conflicts'];
+
+// Conditions a file can be written under in a gist's _conditions file
+const CONDITION_KEYS = ['exists', 'notExists', 'targetFramework', 'var'];
+
+// Files that can be patched with an XML patch, e.g. App.csproj.patch or Web.config.patch
+const XML_PATCH_EXTENSIONS = ['.xml', '.csproj', '.fsproj', '.vbproj', '.props', '.targets', '.config'];
+
 /**
- * Make an HTTP/HTTPS request
+ * Get the user cache directory for API responses
  */
-function httpRequest(url, options = {}) {
-    return new Promise((resolve, reject) => {
-        const urlObj = new URL(url);
-        const protocol = urlObj.protocol === 'https:' ? https : http;
-        
-        const reqOptions = {
-            hostname: urlObj.hostname,
-            path: urlObj.pathname + urlObj.search,
-            method: options.method || 'GET',
-            headers: {
-                'User-Agent': USER_AGENT,
-                'Accept': 'application/json',
-                ...options.headers
-            },
-            rejectUnauthorized: !ignoreSslErrors
-        };
-
-        if (gitHubToken) {
-            reqOptions.headers['Authorization'] = `token ${gitHubToken}`;
-        }
+function getCacheDir() {
+    if (process.env.MIX_CACHE_DIR) return process.env.MIX_CACHE_DIR;
+    if (process.platform === 'win32') {
+        const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+        return path.join(localAppData, 'add-in', 'Cache');
+    }
+    if (process.platform === 'darwin') {
+        return path.join(os.homedir(), 'Library', 'Caches', 'add-in');
+    }
+    return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'add-in');
+}
 
-        const req = protocol.request(reqOptions, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    resolve({ data, headers: res.headers, statusCode: res.statusCode });
-                } else {
-                    reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-                }
-            });
-        });
+/**
+ * Get the cache file for an API route, gists are keyed by id and revision.
+ * Pinned gist revisions never change so they're never revalidated.
+ */
+function getCacheKey(route) {
+    const gistMatch = route.match(/^\/gists\/([0-9a-zA-Z]+)(?:\/([0-9a-f]+))?$/);
+    if (gistMatch) {
+        const [, id, revision] = gistMatch;
+        return { file: path.join('gists', id, `${revision || 'latest'}.json`), immutable: !!revision };
+    }
+    // Trees are requested by commit SHA so they never change
+    const isTree = /^\/repos\/[^/]+\/[^/]+\/git\/trees\/[0-9a-f]{40}\b/.test(route);
+    return { file: path.join('urls', `${hashContent(route)}.json`), immutable: isTree };
+}
 
-        req.on('error', reject);
-        req.end();
-    });
+/**
+ * Check if a gist file's mime type is known to be text
+ */
+function isTextMimeType(type) {
+    if (!type) return true;
+    return type.startsWith('text/')
+        || /[+/](json|xml|javascript|ecmascript|x-sh|x-yaml|yaml|toml|x-httpd-php|x-csharp|x-typescript|graphql|sql)$/.test(type);
 }
 
 /**
- * Get JSON from GitHub API
+ * Check if downloaded content is binary, i.e. has NUL bytes or isn't valid UTF-8
  */
-async function getJson(route) {
-    const url = route.startsWith('http') ? route : `https://api.github.com${route}`;
-    if (verbose) console.log(`API: ${url}`);
-    const response = await httpRequest(url);
-    return JSON.parse(response.data);
+function isBinaryContent(buffer) {
+    if (buffer.subarray(0, 8000).includes(0)) return true;
+    return !buffer.equals(Buffer.from(buffer.toString('utf8'), 'utf8'));
 }
 
 /**
@@ -137,34 +166,185 @@ function sanitizeProjectName(name) {
 }
 
 /**
- * Replace MyApp placeholders with project name
+ * Get the snake, Pascal, spaced, kebab, lower and lower snake case variants of a term paired with the
+ * same variants of its replacement, e.g. My_App, MyApp, My App, my-app, myapp and my_app
  */
-function replaceMyApp(input, projName) {
-    if (!input || !projName) return input;
-    
-    const condensed = projName.replace(/_/g, '');
-    const kebab = camelToKebab(condensed);
-    const split = splitPascalCase(condensed);
-    
-    let result = input
-        .replace(/My_App/g, projName)
-        .replace(/MyApp/g, condensed)
-        .replace(/My App/g, split)
-        .replace(/my-app/g, kebab)
-        .replace(/myapp/g, condensed.toLowerCase())
-        .replace(/my_app/g, projName.toLowerCase());
+function getCaseReplacements(term, replacement) {
+    const termCondensed = term.replace(/_/g, '');
+    const termSnake = term.includes('_') ? term : splitPascalCase(termCondensed).replace(/ /g, '_');
+    const condensed = replacement.replace(/_/g, '');
+
+    const pairs = [
+        [termSnake, replacement],
+        [termCondensed, condensed],
+        [splitPascalCase(termCondensed), splitPascalCase(condensed)],
+        [camelToKebab(termCondensed), camelToKebab(condensed)],
+        [termCondensed.toLowerCase(), condensed.toLowerCase()],
+        [termSnake.toLowerCase(), replacement.toLowerCase()],
+    ];
+    // Single word terms have the same variants more than once, only replace them once
+    return pairs.filter(([from], i) => pairs.findIndex(p => p[0] === from) === i);
+}
+
+/**
+ * Check if a gist file name matches a -in glob, globs without a folder match the file name in any folder
+ */
+function matchesFileGlob(fileName, glob) {
+    const normalized = fileName.replace(/\\/g, '/').replace(/\|base64$/, '').replace(/\?$/, '');
+    const target = glob.replace(/\\/g, '/').includes('/') ? normalized : normalized.split('/').pop();
+    return globToRegex(glob).test(target);
+}
+
+/**
+ * Apply a -replace, -replace-regex or -replace-all token. Tokens scoped with -in are only applied to
+ * the contents and names of matching files. -replace-regex tokens from parseArgs carry their compiled
+ * `regex`, tokens from the manifest or API options are compiled when they're applied
+ */
+function applyReplaceToken(input, token, fileName) {
+    const [term, replacement, options = {}] = token;
+    if (options.glob && (fileName === undefined || !matchesFileGlob(fileName, options.glob))) {
+        return input;
+    }
+    if (options.mode === 'regex') {
+        return input.replace(token.regex || new RegExp(term, 'g'), replacement);
+    }
+    if (options.mode === 'all') {
+        for (const [from, to] of getCaseReplacements(term, replacement)) {
+            input = input.split(from).join(to);
+        }
+        return input;
+    }
+    return input.split(term).join(replacement);
+}
+
+/**
+ * Parse a gist's _vars file declaring the template variables its files use
+ */
+function parseGistVars(content, source) {
+    let vars;
+    try {
+        vars = JSON.parse(content);
+    } catch (e) {
+        throw new Error(`Invalid _vars in ${source}: ${e.message}`);
+    }
+    if (!Array.isArray(vars)) {
+        throw new Error(`Invalid _vars in ${source}: expected an array of variables`);
+    }
+    return vars.map((v, i) => {
+        if (!v || typeof v.name !== 'string' || !/^\w+$/.test(v.name)) {
+            throw new Error(`Invalid _vars in ${source}: variable #${i} needs a 'name' of letters, numbers or '_'`);
+        }
+        let pattern = null;
+        if (v.pattern) {
+            try {
+                pattern = new RegExp(v.pattern);
+            } catch (e) {
+                throw new Error(`Invalid _vars in ${source}: '${v.name}' has an invalid pattern: ${e.message}`);
+            }
+        }
+        return {
+            name: v.name,
+            description: v.description || '',
+            default: v.default !== undefined && v.default !== null ? String(v.default) : undefined,
+            pattern
+        };
+    });
+}
 
-    // Remove carriage returns on non-Windows
-    if (process.platform !== 'win32') {
-        result = result.replace(/\r/g, '');
+/**
+ * Check a variable's value matches its validation pattern
+ */
+function validateVar(v, value, source) {
+    if (v.pattern && !v.pattern.test(value)) {
+        throw new Error(`Invalid value '${value}' for '${v.name}' required by ${source}, must match /${v.pattern.source}/`);
     }
+}
+
+/**
+ * Replace {{Name}} placeholders of declared template variables
+ */
+function replaceVars(input, vars) {
+    if (!input || !vars) return input;
+    return input.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : match);
+}
+
+/**
+ * Parse a gist's _conditions file mapping file names to the conditions they're only written under
+ */
+function parseFileConditions(content, source) {
+    if (!content) return {};
 
-    // Apply custom replace tokens
-    for (const [term, replacement] of replaceTokens) {
-        result = result.split(term).join(replacement);
+    let conditions;
+    try {
+        conditions = JSON.parse(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+    } catch (e) {
+        throw new Error(`Invalid _conditions in ${source}: ${e.message}`);
     }
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+        throw new Error(`Invalid _conditions in ${source}: expected an object of file names and their conditions`);
+    }
+    for (const [fileName, condition] of Object.entries(conditions)) {
+        const unknown = Object.keys(condition || {}).find(key => !CONDITION_KEYS.includes(key));
+        if (unknown) {
+            throw new Error(`Invalid _conditions in ${source}: unknown condition '${unknown}' for '${fileName}', expected one of ${CONDITION_KEYS.join(', ')}`);
+        }
+    }
+    return conditions;
+}
 
-    return result;
+/**
+ * Convert a glob pattern with `*`, `**` and `?` wildcards to a regex
+ */
+function globToRegex(pattern) {
+    const regex = pattern.replace(/\\/g, '/')
+        .replace(/[.+^${}()|[\]]/g, '\\$&')
+        .replace(/\*\*/g, '\0')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]')
+        .replace(/\0/g, '.*');
+    return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Parse a target framework moniker like net8.0, netcoreapp3.1, netstandard2.0 or net48 into a comparable version
+ */
+function parseTargetFramework(tfm) {
+    const name = tfm.trim().toLowerCase().split('-')[0];
+    let match = name.match(/^net(?:coreapp)?(\d+)\.(\d+)$/);
+    if (match) return { family: 'core', version: [parseInt(match[1], 10), parseInt(match[2], 10)] };
+    match = name.match(/^netstandard(\d+)\.(\d+)$/);
+    if (match) return { family: 'standard', version: [parseInt(match[1], 10), parseInt(match[2], 10)] };
+    match = name.match(/^net(\d)(\d)(\d)?$/);
+    if (match) return { family: 'framework', version: [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3] || '0', 10)] };
+    return null;
+}
+
+/**
+ * Check if a target framework satisfies a condition like '>=net8.0'
+ */
+function matchesTargetFramework(tfm, condition) {
+    const match = condition.trim().match(/^(>=|<=|!=|>|<|=)?\s*(\S+)$/);
+    const wanted = match && parseTargetFramework(match[2]);
+    if (!wanted) {
+        throw new Error(`Invalid targetFramework condition '${condition}', e.g. '>=net8.0'`);
+    }
+    const actual = parseTargetFramework(tfm);
+    const op = match[1] || '=';
+    if (!actual || actual.family !== wanted.family) return op === '!=';
+
+    let cmp = 0;
+    for (let i = 0; i < Math.max(actual.version.length, wanted.version.length) && cmp === 0; i++) {
+        cmp = (actual.version[i] || 0) - (wanted.version[i] || 0);
+    }
+    switch (op) {
+        case '>=': return cmp >= 0;
+        case '<=': return cmp <= 0;
+        case '>': return cmp > 0;
+        case '<': return cmp < 0;
+        case '!=': return cmp !== 0;
+        default: return cmp === 0;
+    }
 }
 
 /**
@@ -177,6 +357,14 @@ function osPaths(filePath) {
     return filePath.replace(/\\/g, '/');
 }
 
+/**
+ * Check if a path is inside a directory
+ */
+function isPathInside(filePath, dir) {
+    const relative = path.relative(dir, filePath);
+    return relative !== '' && relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative);
+}
+
 /**
  * Parse gist link from markdown line
  */
@@ -235,13 +423,17 @@ function parseGistLink(line) {
     let gistId = null;
     let repo = null;
 
+    let ref = null;
+    let repoPath = null;
+
     if (url.startsWith('https://gist.github.com')) {
         gistId = url.split('/').pop();
     } else if (url.startsWith('https://github.com/')) {
-        const pathInfo = url.substring('https://github.com/'.length);
-        const parts = pathInfo.split('/');
-        user = parts[0];
-        repo = parts[1]?.split('/')[0];
+        const repoInfo = parseRepoUrl(url);
+        user = repoInfo.user;
+        repo = repoInfo.repo;
+        ref = repoInfo.ref;
+        repoPath = repoInfo.path;
     }
 
     return {
@@ -253,10 +445,150 @@ function parseGistLink(line) {
         tags,
         gistId,
         repo,
+        ref,
+        path: repoPath,
+        deps: splitModifierList(modifiers.deps),
+        conflicts: splitModifierList(modifiers.conflicts),
         modifiers
     };
 }
 
+/**
+ * Check a registry entry's URL is a gist, GitHub repository, https or local URL add-ins can be applied from
+ */
+function isValidGistLinkUrl(url) {
+    if (url.startsWith('https://gist.github.com/')) {
+        return /^https:\/\/gist\.github\.com\/(?:[\w-]+\/)?(?:[0-9a-f]{20}|[0-9a-f]{32})(?:\/[0-9a-f]{40})?\/?$/.test(url);
+    }
+    if (url.startsWith('https://github.com/')) {
+        return /^https:\/\/github\.com\/[\w.-]+\/[\w.-]+(?:[/#]|$)/.test(url);
+    }
+    return /^https:\/\/[^/\s]+/.test(url) || /^(file:\/\/|\.{1,2}[\\/]|[\\/]|~[\\/])/.test(url);
+}
+
+/**
+ * Get why a `to` location can't be resolved when applying an add-in, or null if it can. Absolute paths are only
+ * valid on some platforms, they're checked for `platform` when it's given, otherwise they're returned as a `warning`
+ */
+function getLocationProblem(to, platform = null) {
+    if (!to || to === '.') return null;
+    if (to.includes('..')) return { message: "locations can't contain '..'" };
+    if (to.startsWith('$')) {
+        return to.startsWith('$HOST') || to.startsWith('$HOME')
+            ? null
+            : { message: "expected $HOST, $HOME, a folder name ending in '/' or a file name" };
+    }
+    if (to.startsWith('/') || to.includes(':\\')) {
+        const windowsPath = !to.startsWith('/');
+        if (platform && (platform === 'win32') === windowsPath) return null;
+        return {
+            message: windowsPath ? 'Windows paths can only be used on Windows' : "absolute paths can't be used on Windows",
+            warning: !platform
+        };
+    }
+    // Folders and files are found by name anywhere in the project, hidden ones are never searched
+    const name = to.endsWith('/') ? to.slice(0, -1) : to;
+    if (!name || /[\\/]/.test(name) || name.startsWith('.')) {
+        return {
+            message: to.endsWith('/')
+                ? "expected a single folder name ending in '/', e.g. 'src/'"
+                : "expected a file name without a folder, e.g. 'MyApp.csproj'"
+        };
+    }
+    return null;
+}
+
+/**
+ * Lint the markdown of a registry. Returns the `entries` that could be parsed with their line numbers and
+ * whether their URL is valid, and `problems` with the line number of lines that can't be parsed, parts of
+ * lines that are ignored, duplicate names, unknown modifiers, invalid `to` locations and malformed URLs.
+ * `warnings` are `to` locations that can only be used on some platforms
+ */
+function lintGistLinks(md) {
+    const entries = [];
+    const problems = [];
+    const warnings = [];
+    const sanitize = name => name.replace(/-/g, '').toLowerCase();
+
+    (md || '').split('\n').forEach((line, i) => {
+        const lineNo = i + 1;
+        const trimmed = line.trim();
+        // Only list items and links are entries, anything else like headings and prose is ignored
+        if (!/^([-*+]|\[)/.test(trimmed)) return;
+
+        const link = parseGistLink(line);
+        if (!link) {
+            problems.push({ line: lineNo, message: `Could not parse '${trimmed}', expected: - [name](url) {modifiers} \`tags\` description` });
+            return;
+        }
+
+        const validUrl = isValidGistLinkUrl(link.url);
+        entries.push({ line: lineNo, link, validUrl });
+        if (!validUrl) {
+            problems.push({ line: lineNo, message: `Malformed URL '${link.url}' of '${link.name}', expected a gist, GitHub repository, https or local URL` });
+        }
+
+        let remaining = trimmed.substring(trimmed.indexOf('](') + 2 + link.url.length + 1).trim();
+        if (remaining.startsWith('{')) {
+            const endBrace = remaining.indexOf('}');
+            if (endBrace === -1) {
+                problems.push({ line: lineNo, message: `Unterminated '{' in the modifiers of '${link.name}'` });
+            } else {
+                const unparsed = remaining.substring(1, endBrace)
+                    .replace(/(\w+):(?:"([^"]+)"|'([^']+)'|([^\s,}]+))/g, '')
+                    .replace(/[\s,]/g, '');
+                if (unparsed) {
+                    problems.push({ line: lineNo, message: `Could not parse the modifiers of '${link.name}': ${remaining.substring(0, endBrace + 1)}` });
+                }
+                remaining = remaining.substring(endBrace + 1);
+            }
+        }
+        if ((remaining.match(/`/g) || []).length % 2 !== 0) {
+            problems.push({ line: lineNo, message: `Unterminated '\`' in the tags or description of '${link.name}'` });
+        }
+
+        for (const key of Object.keys(link.modifiers)) {
+            if (!GIST_LINK_MODIFIERS.includes(key)) {
+                problems.push({ line: lineNo, message: `Unknown modifier '${key}' of '${link.name}', expected one of ${GIST_LINK_MODIFIERS.join(', ')}` });
+            }
+        }
+        const locationProblem = link.to ? getLocationProblem(link.to) : null;
+        if (locationProblem) {
+            (locationProblem.warning ? warnings : problems)
+                .push({ line: lineNo, message: `Invalid to:"${link.to}" of '${link.name}', ${locationProblem.message}` });
+        }
+    });
+
+    // Names are matched ignoring case and dashes, so 'db-sqlite' and 'dbsqlite' are the same add-in
+    const seen = new Map();
+    for (const { line, link } of entries) {
+        const first = seen.get(sanitize(link.name));
+        if (!first) {
+            seen.set(sanitize(link.name), { line, link });
+        } else if (first.link.name === link.name) {
+            problems.push({ line, message: `Duplicate name '${link.name}', first used on line ${first.line}` });
+        } else {
+            problems.push({ line, message: `Name '${link.name}' collides with '${first.link.name}' on line ${first.line}, names are matched ignoring case and dashes` });
+        }
+    }
+    for (const { line, link } of entries) {
+        for (const [key, verb] of [['deps', 'depends on'], ['conflicts', 'conflicts with']]) {
+            for (const name of link[key].filter(n => !seen.has(sanitize(n)))) {
+                problems.push({ line, message: `'${link.name}' ${verb} '${name}' which isn't in the registry` });
+            }
+        }
+    }
+
+    return { entries, problems: problems.sort((a, b) => a.line - b.line), warnings };
+}
+
+/**
+ * Split a comma separated modifier value, e.g. {deps:"a,b"}
+ */
+function splitModifierList(value) {
+    return value ? value.split(',').map(v => v.trim()).filter(v => v) : [];
+}
+
 /**
  * Parse gist links from markdown content
  */
@@ -272,95 +604,54 @@ function parseGistLinks(md) {
 }
 
 /**
- * Get gist files from GitHub
+ * Parse a GitHub repository URL, e.g. https://github.com/user/repo/tree/ref/sub/folder or https://github.com/user/repo#ref.
+ * Branches can contain '/', so the `ref` and `path` of a `/tree/` URL are only a guess unless `#ref` names the branch,
+ * `treePath` is everything after `/tree/` for resolving the ref against the repository
  */
-async function getGistFiles(gistIdOrUrl) {
-    const cacheKey = gistIdOrUrl;
-    if (gistFilesCache.has(cacheKey)) {
-        return { files: gistFilesCache.get(cacheKey), url: gistIdOrUrl };
+function parseRepoUrl(url) {
+    const [location, fragment] = url.split('#');
+    const parts = location.substring('https://github.com/'.length).split('/').filter(p => p);
+    if (parts.length < 2) {
+        throw new Error(`Invalid GitHub repository URL '${url}'`);
     }
 
-    let gistUrl;
-    let gistId;
+    const user = parts[0];
+    const repo = parts[1].replace(/\.git$/, '');
+    let ref = null;
+    let subPath = null;
+    let treePath = null;
 
-    if (!gistIdOrUrl.includes('://')) {
-        // Plain gist ID
-        gistId = gistIdOrUrl;
-        gistUrl = `https://gist.github.com/${gistIdOrUrl}`;
-    } else if (gistIdOrUrl.startsWith('https://gist.github.com/')) {
-        gistUrl = gistIdOrUrl;
-        const parts = gistIdOrUrl.substring('https://gist.github.com/'.length).split('/');
-        if (parts.length === 3) {
-            gistId = parts.slice(1).join('/');
-        } else if (parts.length === 2) {
-            const firstPartLen = parts[0].length;
-            gistId = (firstPartLen === GIST_ID_LENGTH_SHORT || firstPartLen === GIST_ID_LENGTH_LONG)
-                ? parts.join('/')
-                : parts.slice(1).join('/');
-        } else if (parts.length === 1) {
-            gistId = parts[0];
-        } else {
-            throw new Error(`Invalid Gist URL '${gistIdOrUrl}'`);
+    if (parts[2] === 'tree' && parts.length > 3) {
+        treePath = parts.slice(3).join('/');
+        ref = parts[3];
+        subPath = parts.slice(4).join('/') || null;
+    }
+    if (fragment) {
+        ref = decodeURIComponent(fragment);
+        if (treePath && (treePath === ref || treePath.startsWith(ref + '/'))) {
+            subPath = treePath.substring(ref.length + 1) || null;
         }
-    } else {
-        // Custom URL
-        gistUrl = gistIdOrUrl;
-        const json = await getJson(gistIdOrUrl);
-        const files = fromJsonGist(json, gistIdOrUrl);
-        gistFilesCache.set(cacheKey, files);
-        return { files, url: gistUrl };
     }
 
-    const json = await getJson(`/gists/${gistId}`);
-    const files = fromJsonGist(json, gistId);
-    gistFilesCache.set(cacheKey, files);
-    return { files, url: gistUrl };
+    return { user, repo, ref, path: subPath, treePath: fragment ? null : treePath };
 }
 
 /**
- * Parse gist files from JSON response
+ * Resolve a local source to an absolute path, relative paths are resolved from `baseDir`
  */
-function fromJsonGist(response, gistRef) {
-    const files = response.files;
-    if (!files) {
-        throw new Error(`Invalid gist response returned for '${gistRef}'`);
-    }
-
-    const result = {};
-    for (const [filename, meta] of Object.entries(files)) {
-        let content = meta.content;
-        const size = meta.size;
-        
-        // Handle truncated files
-        if ((!content || content.length < size) && meta.truncated) {
-            // Would need to download from raw_url - for now just use what we have
-            if (verbose) console.log(`Note: File '${filename}' is truncated`);
-        }
-        
-        result[filename] = content || '';
-    }
-    return result;
+function resolveLocalPath(source, baseDir) {
+    if (source.startsWith('file://')) return fileURLToPath(source);
+    if (source.startsWith('~/') || source.startsWith('~\\')) return path.join(os.homedir(), source.substring(2));
+    return path.resolve(baseDir, source);
 }
 
 /**
- * Get gist links from registry
+ * Get the latest revision (commit SHA) from a gist API response
  */
-async function getGistApplyLinks() {
-    const cacheKey = `${gistLinksId}:mix.md`;
-    if (gistLinksCache.has(cacheKey)) {
-        return gistLinksCache.get(cacheKey);
-    }
-
-    const { files } = await getGistFiles(gistLinksId);
-    const mixMd = files['mix.md'];
-    
-    if (!mixMd) {
-        throw new Error(`Could not find 'mix.md' file in gist '${gistLinksId}'`);
-    }
-
-    const links = parseGistLinks(mixMd);
-    gistLinksCache.set(cacheKey, links);
-    return links;
+function getGistRevision(response) {
+    return response.history && response.history.length > 0
+        ? response.history[0].version
+        : null;
 }
 
 /**
@@ -386,232 +677,712 @@ function isGistId(str) {
  * Find gist link by name
  */
 function findGistLink(links, alias) {
-    const sanitized = alias.replace(/-/g, '').toLowerCase();
-    return links.find(l => l.name.replace(/-/g, '').toLowerCase() === sanitized);
+    const sanitize = name => name.replace(/-/g, '').toLowerCase();
+    const sanitized = sanitize(alias);
+    return links.find(l => l.qualifiedName && sanitize(l.qualifiedName) === sanitized)
+        || links.find(l => sanitize(l.name) === sanitized);
 }
 
 /**
- * Resolve base path for output
+ * Parse a registry source with an optional prefix, e.g. `acme=./tools/mix.md` or a gist id
  */
-function resolveBasePath(to, exSuffix = '') {
-    if (to === '.' || !to) {
-        return process.cwd();
-    }
+function parseRegistrySource(spec) {
+    const match = spec.match(/^([\w-]+)=(.+)$/);
+    return match ? { prefix: match[1], source: match[2] } : { prefix: null, source: spec };
+}
 
-    if (to.includes('..')) {
-        throw new Error(`Invalid location '${to}'${exSuffix}`);
-    }
+/**
+ * Merge the links of several registries in priority order, labelling each with the prefix or source of
+ * its registry. Links in a prefixed registry are also addressable as `prefix/name`, and ones whose names
+ * collide with an earlier registry are renamed to `prefix/name`, including the deps and conflicts on them.
+ * Colliding names in a registry without a prefix can't be renamed, they're returned as warnings
+ */
+function mergeRegistryLinks(registries) {
+    const sanitize = name => name.replace(/-/g, '').toLowerCase();
+    const earlierNames = new Map();
+    const links = [];
+    const warnings = [];
+    for (const { prefix, source, links: registryLinks } of registries) {
+        const registry = prefix || source;
+        const collisions = registryLinks.filter(l => earlierNames.has(sanitize(l.name)));
+        const renames = new Map(prefix ? collisions.map(l => [sanitize(l.name), `${prefix}/${l.name}`]) : []);
+        const rename = name => renames.get(sanitize(name)) || name;
+        if (!prefix) {
+            warnings.push(...collisions.map(l => `'${l.name}' in ${registry} is hidden by '${l.name}' in ${earlierNames.get(sanitize(l.name))}, `
+                + `give ${registry} a prefix to apply it, e.g. -s team=${registry}`));
+        }
 
-    if (to.startsWith('/')) {
-        if (process.platform === 'win32') {
-            throw new Error(`Cannot write to '${to}' on Windows${exSuffix}`);
+        for (const link of registryLinks) {
+            links.push({
+                ...link,
+                name: rename(link.name),
+                deps: link.deps.map(rename),
+                conflicts: link.conflicts.map(rename),
+                registry,
+                qualifiedName: prefix ? `${prefix}/${link.name}` : null,
+            });
         }
-        return to;
+        registryLinks.filter(l => !earlierNames.has(sanitize(l.name))).forEach(l => earlierNames.set(sanitize(l.name), registry));
     }
+    return { links, warnings };
+}
 
-    if (to.includes(':\\')) {
-        if (process.platform !== 'win32') {
-            throw new Error(`Cannot write to '${to}'${exSuffix}`);
-        }
-        return to;
+/**
+ * Flatten an apply or delete report into NDJSON records of each file, _init command and error, ending with the result
+ */
+function getReportItems(result) {
+    const items = [];
+    for (const gist of result.gists) {
+        items.push(...gist.files.map(file => ({ type: 'file', gist: gist.alias, ...file })));
+        items.push(...(gist.init || []).map(init => ({ type: 'init', gist: gist.alias, ...init })));
     }
+    items.push(...result.errors.map(message => ({ type: 'error', message })));
+    items.push({ type: 'result', command: result.command, ok: result.ok, dryRun: result.dryRun });
+    return items;
+}
 
-    if (to.startsWith('$')) {
-        if (to.startsWith('$HOST')) {
-            for (const hostFile of HOST_FILES) {
-                const files = findFiles(process.cwd(), hostFile);
-                if (files.length > 0) {
-                    return path.dirname(files[0]);
-                }
-            }
-            throw new Error(`Couldn't find host project location containing any of ${HOST_FILES.join(', ')}${exSuffix}`);
-        }
+/**
+ * Check if link matches tag(s)
+ */
+function matchesTag(link, tagName) {
+    if (!link.tags) return false;
+    const searchTags = tagName.split(',').map(t => t.trim().toLowerCase());
+    return searchTags.length === 1
+        ? link.tags.some(t => t.toLowerCase() === searchTags[0])
+        : link.tags.some(t => searchTags.includes(t.toLowerCase()));
+}
 
-        if (to.startsWith('$HOME')) {
-            return to.replace('$HOME', os.homedir());
-        }
-    } else {
-        if (to.endsWith('/')) {
-            const dirName = to.slice(0, -1);
-            const dirs = findDirectories(process.cwd(), dirName);
-            if (dirs.length === 0) {
-                throw new Error(`Unable to find Directory named '${dirName}'${exSuffix}`);
-            }
-            return dirs[0];
-        } else {
-            const files = findFiles(process.cwd(), to);
-            if (files.length === 0) {
-                throw new Error(`Unable to find File named '${to}'${exSuffix}`);
-            }
-            return path.dirname(files[0]);
-        }
+/**
+ * Decode an RFC 6901 JSON Pointer into its reference tokens
+ */
+function parseJsonPointer(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new Error(`Invalid JSON Pointer '${pointer}'`);
     }
-
-    throw new Error(`Unknown location '${to}'${exSuffix}`);
+    return pointer.substring(1).split('/')
+        .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
 }
 
 /**
- * Find files matching pattern recursively
+ * Resolve an array index token, '-' resolves to the end of the array when allowed
  */
-function findFiles(dir, pattern, maxDepth = 10) {
-    const results = [];
-    if (maxDepth <= 0) return results;
+function resolveArrayIndex(arr, token, allowEnd) {
+    if (token === '-' && allowEnd) return arr.length;
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+        throw new Error(`Invalid array index '${token}'`);
+    }
+    const index = parseInt(token, 10);
+    const max = allowEnd ? arr.length : arr.length - 1;
+    if (index > max) {
+        throw new Error(`Array index '${token}' out of bounds`);
+    }
+    return index;
+}
 
-    try {
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        for (const entry of entries) {
-            if (entry.name.startsWith('.')) continue;
-            
-            const fullPath = path.join(dir, entry.name);
-            
-            if (entry.isDirectory()) {
-                if (entry.name !== 'node_modules' && entry.name !== 'bin' && entry.name !== 'obj') {
-                    results.push(...findFiles(fullPath, pattern, maxDepth - 1));
-                }
-            } else if (entry.isFile()) {
-                if (pattern.includes('*')) {
-                    const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-                    if (regex.test(entry.name)) {
-                        results.push(fullPath);
-                    }
-                } else if (entry.name === pattern) {
-                    results.push(fullPath);
-                }
-            }
+/**
+ * Resolve the value referenced by a JSON Pointer
+ */
+function getJsonPointer(doc, tokens) {
+    let target = doc;
+    for (const token of tokens) {
+        if (Array.isArray(target)) {
+            target = target[resolveArrayIndex(target, token, false)];
+        } else if (target !== null && typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, token)) {
+            target = target[token];
+        } else {
+            throw new Error('Path not found');
         }
-    } catch (e) {
-        // Ignore permission errors
     }
-    return results;
+    return target;
 }
 
 /**
- * Find directories matching name recursively
+ * Resolve the parent container of a JSON Pointer. When `createMissing` is set, missing
+ * intermediate objects are created so existing `add` patches into new sections keep working.
  */
-function findDirectories(dir, name, maxDepth = 10) {
-    const results = [];
-    if (maxDepth <= 0) return results;
-
-    try {
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        for (const entry of entries) {
-            if (entry.name.startsWith('.')) continue;
-            
-            if (entry.isDirectory()) {
-                const fullPath = path.join(dir, entry.name);
-                if (entry.name === name) {
-                    results.push(fullPath);
-                }
-                if (entry.name !== 'node_modules' && entry.name !== 'bin' && entry.name !== 'obj') {
-                    results.push(...findDirectories(fullPath, name, maxDepth - 1));
-                }
+function getJsonPointerParent(doc, tokens, createMissing) {
+    let target = doc;
+    for (let i = 0; i < tokens.length - 1; i++) {
+        const token = tokens[i];
+        if (Array.isArray(target)) {
+            target = target[resolveArrayIndex(target, token, false)];
+        } else if (target !== null && typeof target === 'object') {
+            if (!Object.prototype.hasOwnProperty.call(target, token)) {
+                if (!createMissing) throw new Error('Path not found');
+                target[token] = {};
             }
+            target = target[token];
+        } else {
+            throw new Error('Path not found');
         }
-    } catch (e) {
-        // Ignore permission errors
     }
-    return results;
+    if (target === null || typeof target !== 'object') {
+        throw new Error('Parent is not an object or array');
+    }
+    return target;
 }
 
 /**
- * Resolve file path for gist file
+ * Deep equality as defined by RFC 6902 'test'
  */
-function resolveFilePath(gistFilePath, basePath, projName, applyTo) {
-    let fileName = replaceMyApp(osPaths(gistFilePath), projName);
-    if (fileName.endsWith('?')) {
-        fileName = fileName.slice(0, -1);
+function jsonEquals(a, b) {
+    if (a === b) return true;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((v, i) => jsonEquals(v, b[i]));
     }
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length
+        && keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && jsonEquals(a[k], b[k]));
+}
 
-    const resolvedFile = path.resolve(basePath, osPaths(fileName));
+/**
+ * Deep clone a JSON value
+ */
+function jsonClone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
 
-    // Handle $HOST gists that write to folders
-    const writesToFolder = gistFilePath.includes('\\');
-    if (applyTo === '$HOST' && writesToFolder && !fs.existsSync(path.dirname(resolvedFile))) {
-        const currentBasePath = process.cwd();
-        const tryPath = projName + '.' + gistFilePath;
-        const resolvedPath = resolveFilePath(tryPath, currentBasePath, projName, '.');
-        if (fs.existsSync(path.dirname(resolvedPath))) {
-            if (verbose) console.log(`Using matching qualified path: ${resolvedPath}`);
-            return resolvedPath;
-        }
+/**
+ * Add a value at the location referenced by the pointer tokens
+ */
+function jsonAdd(doc, tokens, value) {
+    if (tokens.length === 0) return value;
+    const parent = getJsonPointerParent(doc, tokens, true);
+    const lastKey = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(resolveArrayIndex(parent, lastKey, true), 0, value);
+    } else {
+        parent[lastKey] = value;
     }
-
-    return resolvedFile;
+    return doc;
 }
 
 /**
- * Print gist links
+ * Remove the value at the location referenced by the pointer tokens
  */
-function printGistLinks(tool, links, tag = null, usage = null) {
-    console.log('');
+function jsonRemove(doc, tokens) {
+    if (tokens.length === 0) throw new Error('Cannot remove the document root');
+    const parent = getJsonPointerParent(doc, tokens, false);
+    const lastKey = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(resolveArrayIndex(parent, lastKey, false), 1);
+    } else {
+        if (!Object.prototype.hasOwnProperty.call(parent, lastKey)) throw new Error('Path not found');
+        delete parent[lastKey];
+    }
+    return doc;
+}
+
+/**
+ * Apply an RFC 6902 JSON Patch document, returns the patched result without modifying `doc`.
+ * All operations are applied to a copy so a failing operation leaves nothing half-applied.
+ */
+function applyJsonPatch(doc, patch) {
+    if (!Array.isArray(patch)) {
+        throw new Error('JSON Patch must be an array of operations');
+    }
+
+    let result = jsonClone(doc);
+    patch.forEach((op, i) => {
+        const opPath = op && op.path;
+        try {
+            if (!op || typeof op !== 'object') throw new Error('Operation must be an object');
+            if (typeof op.path !== 'string') throw new Error(`Missing 'path'`);
+            const tokens = parseJsonPointer(op.path);
+            const needsValue = op.op === 'add' || op.op === 'replace' || op.op === 'test';
+            if (needsValue && !('value' in op)) throw new Error(`Missing 'value'`);
+
+            switch (op.op) {
+                case 'add':
+                    result = jsonAdd(result, tokens, jsonClone(op.value));
+                    break;
+                case 'remove':
+                    result = jsonRemove(result, tokens);
+                    break;
+                case 'replace':
+                    getJsonPointer(result, tokens);
+                    if (tokens.length === 0) {
+                        result = jsonClone(op.value);
+                    } else {
+                        result = jsonRemove(result, tokens);
+                        result = jsonAdd(result, tokens, jsonClone(op.value));
+                    }
+                    break;
+                case 'move':
+                case 'copy': {
+                    if (typeof op.from !== 'string') throw new Error(`Missing 'from'`);
+                    const fromTokens = parseJsonPointer(op.from);
+                    if (op.op === 'move' && op.path.startsWith(op.from + '/')) {
+                        throw new Error(`Cannot move '${op.from}' into one of its children`);
+                    }
+                    const value = jsonClone(getJsonPointer(result, fromTokens));
+                    if (op.op === 'move') {
+                        if (op.from === op.path) break;
+                        result = jsonRemove(result, fromTokens);
+                    }
+                    result = jsonAdd(result, tokens, value);
+                    break;
+                }
+                case 'test':
+                    if (!jsonEquals(getJsonPointer(result, tokens), op.value)) {
+                        throw new Error(`Test failed, value is not ${JSON.stringify(op.value)}`);
+                    }
+                    break;
+                default:
+                    throw new Error(`Unknown operation '${op.op}'`);
+            }
+        } catch (e) {
+            throw new Error(`JSON Patch op #${i} '${op && op.op}' at '${opPath}' failed: ${e.message}`);
+        }
+    });
+    return result;
+}
 
-    const tags = [...new Set(links.filter(l => l.tags).flatMap(l => l.tags))].sort();
+/**
+ * Get the file patched by a .json.patch, XML .patch or .inject file, or null if it's not a patch file
+ */
+function getPatchTarget(filePath) {
+    if (filePath.endsWith('.inject')) return filePath.slice(0, -7);
+    if (!filePath.endsWith('.patch')) return null;
+    const target = filePath.slice(0, -6);
+    const ext = path.extname(target).toLowerCase();
+    return ext === '.json' || XML_PATCH_EXTENSIONS.includes(ext) ? target : null;
+}
 
-    if (tag) {
-        links = links.filter(l => l.tags && matchesTag(l, tag));
-        const plural = tag.includes(',') ? 's' : '';
-        console.log(`Results matching tag${plural} [${tag}]:`);
-        console.log('');
+/**
+ * Apply the contents of a JSON patch, XML patch or injection file to the contents of its target file
+ */
+function patchContent(patchPath, before, patch) {
+    const targetFile = getPatchTarget(patchPath);
+    try {
+        if (patchPath.endsWith('.inject')) {
+            return applyInjections(before, JSON.parse(patch));
+        }
+        if (path.extname(targetFile).toLowerCase() === '.json') {
+            return JSON.stringify(applyJsonPatch(JSON.parse(before), JSON.parse(patch)), null, 2);
+        }
+        return applyXmlPatch(before, patch);
+    } catch (e) {
+        throw new Error(`Failed to patch '${targetFile}': ${e.message}`);
     }
+}
 
-    const padName = Math.max(...links.map(l => l.name.length)) + 1;
-    const padTo = Math.max(...links.map(l => (l.to || '').length)) + 1;
-    const padBy = Math.max(...links.map(l => l.user.length)) + 1;
-    const padDesc = Math.max(...links.map(l => l.description.length)) + 1;
+/**
+ * Get SHA-256 hash of file contents
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
 
-    links.forEach((link, i) => {
-        const toLabel = link.to ? ` to: ${link.to.padEnd(padTo, ' ')}` : '';
-        const tagsStr = link.tags ? `[${link.tags.join(',')}]` : '';
-        console.log(` ${String(i + 1).padStart(3, ' ')}. ${link.name.padEnd(padName, ' ')} ${link.description.padEnd(padDesc, ' ')}${toLabel} by @${link.user.padEnd(padBy, ' ')} ${tagsStr}`);
-    });
+/**
+ * Find a manifest entry by its alias, gist id or url
+ */
+function findManifestEntry(manifest, alias) {
+    const sanitized = alias.replace(/-/g, '').toLowerCase();
+    return manifest.gists.find(g => (g.alias && g.alias.replace(/-/g, '').toLowerCase() === sanitized)
+        || g.gistId === alias || g.url === alias);
+}
 
-    console.log('');
+/**
+ * Check an _init command is allowed, either by the command prefixes in an `allowlist` from the config
+ * or the built-in commands and subcommands. Returns why it isn't allowed, or null if it is
+ */
+function checkInitCommand(cmd, allowlist = null) {
+    if (allowlist) {
+        return allowlist.some(p => cmd === p.trim() || cmd.startsWith(p.trim() + ' ')) ? null : 'not in initAllowlist';
+    }
 
-    if (usage) {
-        console.log(usage);
-        return;
+    const allowedPrefixes = ['npm ', 'yarn ', 'pnpm ', 'nuget ', 'dotnet ', 'flutter ', 'dart ', 'kamal '];
+    if (!allowedPrefixes.some(p => cmd.startsWith(p))) {
+        return 'not supported';
     }
 
-    console.log(`   Usage: ${tool} <name> <name> ...`);
-    console.log('');
-    console.log(`  Search: ${tool} [tag] Available tags: ${tags.join(', ')}`);
-    console.log('');
-    console.log(`Advanced: ${tool} ?`);
+    // Additional restrictions
+    if (cmd.startsWith('nuget') && !['nuget add', 'nuget restore', 'nuget update'].some(c => cmd.startsWith(c))) {
+        return 'not allowed';
+    }
+    if (cmd.startsWith('dotnet') && !['dotnet add ', 'dotnet restore'].some(c => cmd.startsWith(c)) && cmd !== 'dotnet restore') {
+        return 'not allowed';
+    }
+    if (cmd.startsWith('flutter') && !cmd.startsWith('flutter create ')) {
+        return 'not allowed';
+    }
+    if (cmd.startsWith('dart') && !['dart pub add', 'dart pub get'].some(c => cmd.startsWith(c))) {
+        return 'not allowed';
+    }
+    if (cmd.startsWith('kamal') && !cmd.startsWith('kamal init')) {
+        return 'not allowed';
+    }
+    return null;
 }
 
 /**
- * Check if link matches tag(s)
+ * Find files that more than one gist in the same run writes with different content.
+ * Patches aren't conflicts as they're applied in order on top of each other.
  */
-function matchesTag(link, tagName) {
-    if (!link.tags) return false;
-    const searchTags = tagName.split(',').map(t => t.trim().toLowerCase());
-    return searchTags.length === 1
-        ? link.tags.some(t => t.toLowerCase() === searchTags[0])
-        : link.tags.some(t => searchTags.includes(t.toLowerCase()));
+function findWriteConflicts(gists) {
+    const writers = new Map();
+    gists.forEach((gist, index) => {
+        for (const file of gist.resolvedFiles) {
+            const isBase64 = file.path.endsWith('|base64');
+            const filePath = isBase64 ? file.path.slice(0, -7) : file.path;
+            if (getPatchTarget(filePath)) continue;
+
+            const content = isBase64 && !Buffer.isBuffer(file.content) ? Buffer.from(file.content, 'base64') : file.content;
+            if (!writers.has(filePath)) writers.set(filePath, []);
+            writers.get(filePath).push({ index, content });
+        }
+    });
+
+    const conflicts = [];
+    for (const [filePath, fileWriters] of writers) {
+        if (fileWriters.some(w => !sameContent(w.content, fileWriters[0].content))) {
+            conflicts.push({ path: filePath, gists: fileWriters.map(w => w.index) });
+        }
+    }
+    return conflicts;
 }
 
 /**
- * Prompt user for yes/no
+ * Resolve registry gists and their declared dependencies into the order they should be applied.
+ * Dependencies are applied before the gists that need them and are skipped if they've already been applied.
+ * Returns { plan, skipped } where each plan item is { alias, link, dependencyOf }, link is null for
+ * gist ids, URLs and local sources which can't declare dependencies.
  */
-function promptYesNo(message) {
-    return new Promise((resolve) => {
-        if (silent || forceApproval) {
-            resolve(true);
+function resolveGistPlan(links, aliases, appliedAliases = []) {
+    const sanitize = name => name.replace(/-/g, '').toLowerCase();
+    const applied = new Set(appliedAliases.map(sanitize));
+    const plan = [];
+    const skipped = [];
+    const planned = new Set();
+
+    const visit = (link, alias, dependencyOf, stack) => {
+        const key = sanitize(link.name);
+        if (stack.includes(key)) {
+            const cycle = [...stack.slice(stack.indexOf(key)), key]
+                .map(k => findGistLink(links, k).name);
+            throw new Error(`Circular dependency between add-ins: ${cycle.join(' -> ')}`);
+        }
+        if (planned.has(key)) return;
+        if (dependencyOf && applied.has(key)) {
+            if (!skipped.some(s => sanitize(s.alias) === key)) {
+                skipped.push({ alias: link.name, dependencyOf });
+            }
             return;
         }
 
+        for (const dep of link.deps || []) {
+            const depLink = findGistLink(links, dep);
+            if (!depLink) {
+                throw new Error(`'${link.name}' depends on '${dep}' which was not found in the registry`);
+            }
+            visit(depLink, depLink.name, link.name, [...stack, key]);
+        }
+
+        planned.add(key);
+        plan.push({ alias, link, dependencyOf });
+    };
+
+    for (const alias of aliases) {
+        const link = typeof alias === 'string' ? null : alias.link;
+        if (!link) {
+            plan.push({ alias: typeof alias === 'string' ? alias : alias.alias, link: null, dependencyOf: null });
+            continue;
+        }
+        visit(link, alias.alias, null, []);
+    }
+
+    // Refuse combinations declared as conflicting, either within the plan or with already applied gists
+    const planLinks = plan.filter(p => p.link).map(p => p.link);
+    const inPlan = name => planLinks.some(l => sanitize(l.name) === sanitize(name));
+    const isApplied = name => !inPlan(name) && applied.has(sanitize(name));
+    for (const link of planLinks) {
+        for (const conflict of link.conflicts || []) {
+            if (inPlan(conflict) && sanitize(conflict) !== sanitize(link.name)) {
+                throw new Error(`'${link.name}' conflicts with '${conflict}'`);
+            }
+            if (isApplied(conflict)) {
+                throw new Error(`'${link.name}' conflicts with '${conflict}' which has already been applied`);
+            }
+        }
+    }
+    for (const alias of appliedAliases.filter(isApplied)) {
+        const link = findGistLink(links, alias);
+        const conflict = link && (link.conflicts || []).find(inPlan);
+        if (conflict) {
+            throw new Error(`'${conflict}' conflicts with '${link.name}' which has already been applied`);
+        }
+    }
+
+    return { plan, skipped };
+}
+
+/**
+ * Get the source of the revision a manifest entry was applied from, or null if it can't be fetched again.
+ * Repository entries use the subfolder resolved when fetching the `latest` files
+ */
+function getBaseSource(entry, latest) {
+    if (!entry.revision) return null;
+    if (entry.gistId) return `${entry.gistId}/${entry.revision}`;
+    if (entry.url && entry.url.startsWith('https://github.com/')) {
+        const { user, repo } = parseRepoUrl(entry.url);
+        return `https://github.com/${user}/${repo}/tree/${entry.revision}${latest.path ? '/' + latest.path : ''}`;
+    }
+    return null;
+}
+
+/**
+ * Check if file contents are the same
+ */
+function sameContent(a, b) {
+    if (Buffer.isBuffer(a) || Buffer.isBuffer(b)) {
+        return Buffer.from(a).equals(Buffer.from(b));
+    }
+    return a === b;
+}
+
+/**
+ * Get the proxy for a URL from HTTPS_PROXY or HTTP_PROXY, or null if there isn't one or NO_PROXY excludes its host
+ */
+function getProxyUrl(urlObj) {
+    const env = name => process.env[name] || process.env[name.toLowerCase()];
+    const proxy = urlObj.protocol === 'https:' ? env('HTTPS_PROXY') || env('HTTP_PROXY') : env('HTTP_PROXY');
+    if (!proxy) return null;
+
+    const host = urlObj.hostname.toLowerCase();
+    const port = urlObj.port || (urlObj.protocol === 'https:' ? '443' : '80');
+    const noProxy = (env('NO_PROXY') || '').split(/[\s,]+/).filter(entry => entry);
+    const excluded = noProxy.some((entry) => {
+        if (entry === '*') return true;
+        const [entryHost, entryPort] = entry.toLowerCase().split(':');
+        if (entryPort && entryPort !== port) return false;
+        // .example.com and *.example.com also match example.com like curl
+        const domain = entryHost.replace(/^\*?\./, '');
+        return host === domain || host.endsWith('.' + domain);
+    });
+    if (excluded) return null;
+
+    return new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+}
+
+/**
+ * Create an error with a code, e.g. to tell if it can be retried
+ */
+function createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Make a single request, directly or through a proxy, resolving the response body as a Buffer for any status code
+ */
+function sendRequest(url, options) {
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(url);
+        const isHttps = urlObj.protocol === 'https:';
+        const timeout = options.timeout || HTTP_TIMEOUT;
+        const proxy = getProxyUrl(urlObj);
+        const proxyHeaders = proxy && proxy.username
+            ? { 'Proxy-Authorization': `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}` }
+            : {};
+
+        const reqOptions = {
+            hostname: urlObj.hostname,
+            port: urlObj.port || undefined,
+            path: urlObj.pathname + urlObj.search,
+            method: options.method || 'GET',
+            headers: {
+                'User-Agent': USER_AGENT,
+                'Accept': 'application/json',
+                ...options.headers
+            },
+            rejectUnauthorized: !options.ignoreSslErrors
+        };
+
+        const send = (protocol, requestOptions) => {
+            const req = protocol.request(requestOptions, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ body: Buffer.concat(chunks), headers: res.headers, statusCode: res.statusCode }));
+                res.on('error', reject);
+            });
+            req.setTimeout(timeout, () => req.destroy(createError(`Request to ${urlObj.host} timed out after ${timeout / 1000}s`, 'ETIMEDOUT')));
+            req.on('error', reject);
+            req.end();
+        };
+        const proxyProtocol = proxy && proxy.protocol === 'https:' ? https : http;
+        const proxyPort = proxy && (proxy.port || (proxy.protocol === 'https:' ? 443 : 80));
+
+        if (!proxy) {
+            send(isHttps ? https : http, reqOptions);
+        } else if (!isHttps) {
+            // Plain HTTP requests are sent to the proxy with the full URL
+            send(proxyProtocol, {
+                ...reqOptions,
+                hostname: proxy.hostname,
+                port: proxyPort,
+                path: url,
+                headers: { ...reqOptions.headers, 'Host': urlObj.host, ...proxyHeaders }
+            });
+        } else {
+            // HTTPS requests are tunneled through the proxy with CONNECT
+            const target = `${urlObj.hostname}:${urlObj.port || 443}`;
+            const connectReq = proxyProtocol.request({
+                hostname: proxy.hostname,
+                port: proxyPort,
+                method: 'CONNECT',
+                path: target,
+                headers: { 'Host': target, ...proxyHeaders }
+            });
+            connectReq.setTimeout(timeout, () => connectReq.destroy(createError(`Connecting to ${target} through proxy ${proxy.host} timed out after ${timeout / 1000}s`, 'ETIMEDOUT')));
+            connectReq.on('connect', (res, socket) => {
+                connectReq.setTimeout(0);
+                if (res.statusCode !== 200) {
+                    socket.destroy();
+                    reject(new Error(`Proxy ${proxy.host} refused to connect to ${target}: HTTP ${res.statusCode}`));
+                    return;
+                }
+                send(https, { ...reqOptions, socket, servername: urlObj.hostname, agent: false });
+            });
+            connectReq.on('error', e => reject(createError(`Could not connect to proxy ${proxy.host}: ${e.message}`, e.code)));
+            connectReq.end();
+        }
+    });
+}
+
+/**
+ * Create the error for a failed response, explaining when to try again if it's rate limited
+ */
+function getHttpError(url, response, authenticated) {
+    const { statusCode, headers } = response;
+    const rateLimited = (statusCode === 403 || statusCode === 429)
+        && (headers['x-ratelimit-remaining'] === '0' || headers['retry-after'] !== undefined);
+
+    let message = `HTTP ${statusCode}: ${response.body.toString('utf8')}`;
+    if (rateLimited) {
+        const retryAfter = parseInt(headers['retry-after'], 10);
+        const reset = parseInt(headers['x-ratelimit-reset'], 10);
+        const retryAt = !isNaN(retryAfter) ? Date.now() + retryAfter * 1000 : (!isNaN(reset) ? reset * 1000 : null);
+
+        message = `API rate limit exceeded for ${new URL(url).host}`;
+        if (retryAt) {
+            const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+            const wait = seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+            message += `, try again after ${new Date(retryAt).toLocaleTimeString()} (in ${wait})`;
+        }
+        if (!authenticated) {
+            message += '. Set the GITHUB_TOKEN environment variable to a GitHub token for a higher rate limit';
+        }
+    }
+
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Make an HTTP/HTTPS request, response data is a string unless `options.binary` is set.
+ * Uses HTTPS_PROXY, HTTP_PROXY and NO_PROXY, follows redirects and retries 5xx responses and network errors
+ * up to `options.retries` times with exponential backoff, calling `options.onRetry(error, attempt, delay, retries)`
+ * before each retry.
+ * This is the default HTTP adapter of a mixer.
+ */
+async function httpRequest(url, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : HTTP_RETRIES;
+    const retryDelay = options.retryDelay !== undefined ? options.retryDelay : HTTP_RETRY_DELAY;
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        let error;
+        try {
+            response = await sendRequest(url, options);
+            for (let redirects = 0; response.statusCode >= 300 && response.statusCode < 400 && response.headers.location; redirects++) {
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new Error(`Too many redirects requesting ${url}`);
+                }
+                const location = new URL(response.headers.location, url).href;
+                // Credentials aren't sent to other hosts
+                const headers = new URL(location).host === new URL(url).host
+                    ? options.headers
+                    : Object.fromEntries(Object.entries(options.headers || {}).filter(([name]) => name.toLowerCase() !== 'authorization'));
+                const method = response.statusCode === 303 ? 'GET' : options.method;
+                url = location;
+                options = { ...options, headers, method };
+                response = await sendRequest(url, options);
+            }
+        } catch (e) {
+            response = null;
+            error = e;
+        }
+
+        if (response && ((response.statusCode >= 200 && response.statusCode < 300) || response.statusCode === 304)) {
+            const data = options.binary ? response.body : response.body.toString('utf8');
+            return { data, headers: response.headers, statusCode: response.statusCode };
+        }
+        if (response) {
+            const authenticated = Object.keys(options.headers || {}).some(name => name.toLowerCase() === 'authorization');
+            error = getHttpError(url, response, authenticated);
+            if (response.statusCode < 500) throw error;
+        }
+
+        if (attempt >= retries || (!response && !RETRY_ERROR_CODES.includes(error.code))) throw error;
+        const delay = retryDelay * 2 ** attempt;
+        if (options.onRetry) options.onRetry(error, attempt + 1, delay, retries);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Prompt for a template variable's value until a valid one is entered, resolves null if input is closed
+ */
+function readVar(v, output, input) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({
+            input,
+            output
+        });
+
+        let value = null;
+        rl.on('close', () => resolve(value));
+
+        const label = `${v.description ? v.description + ' ' : ''}(${v.name})${v.default !== undefined ? ` [${v.default}]` : ''}:`;
+        const ask = () => rl.question(`${label} `, (answer) => {
+            const entered = answer.trim() || v.default;
+            if (entered === undefined) {
+                ask();
+            } else if (v.pattern && !v.pattern.test(entered)) {
+                output.write(`Must match /${v.pattern.source}/\n`);
+                ask();
+            } else {
+                value = entered;
+                rl.close();
+            }
+        });
+        ask();
+    });
+}
+
+/**
+ * Prompt user for yes/no
+ */
+function readYesNo(message, output, input) {
+    return new Promise((resolve) => {
         const rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout
+            input,
+            output
         });
 
-        console.log(message);
-        console.log('Proceed? (n/Y):');
+        output.write(`${message}\nProceed? (n/Y):\n`);
 
-        process.stdin.setRawMode(true);
-        process.stdin.resume();
-        process.stdin.once('data', (data) => {
-            process.stdin.setRawMode(false);
+        input.setRawMode(true);
+        input.resume();
+        input.once('data', (data) => {
+            input.setRawMode(false);
             rl.close();
             const key = data.toString().toLowerCase();
             resolve(key === '\r' || key === '\n' || key === 'y');
@@ -620,377 +1391,2480 @@ function promptYesNo(message) {
 }
 
 /**
- * Apply JSON patch to target file
+ * Prompt user to choose one of `count` numbered options, resolves null if input is closed
+ */
+function readChoice(message, count, output, input) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({
+            input,
+            output
+        });
+
+        let choice = null;
+        rl.on('close', () => resolve(choice));
+
+        const ask = () => rl.question(`${message} `, (answer) => {
+            const num = parseInt(answer.trim(), 10);
+            if (num >= 1 && num <= count) {
+                choice = num;
+                rl.close();
+            } else {
+                ask();
+            }
+        });
+        ask();
+    });
+}
+
+/**
+ * Create the default prompt adapter of a mixer, which asks questions in the terminal and reads answers from `input`
+ */
+function createPrompt(output = process.stdout, input = process.stdin) {
+    return {
+        confirm: message => readYesNo(message, output, input),
+        choose: (message, count) => readChoice(message, count, output, input),
+        ask: v => readVar(v, output, input),
+    };
+}
+
+/**
+ * Create a mixer to list, search, apply, delete, update, undo and lint add-ins. Its options are the same as
+ * the command line switches, e.g. { source, projectName, replaceTokens, vars, forceApproval, dryRun }, with `cwd`
+ * for the project directory. The `fs`, `httpRequest`, `prompt`, `input`, `output` and `jsonOutput` adapters replace the
+ * file system, network, terminal prompts, the stream answers are read from, the stream messages are written to and
+ * the stream --json and --ndjson results are written to.
+ * Emits `resolve`, `fileWrite`, `patch`, `initCommand` and `interrupt` events.
  */
-async function patchJsonFile(targetFile, patchFile) {
-    if (!fs.existsSync(targetFile)) {
-        fs.writeFileSync(targetFile, '{}');
+function createMixer(options = {}) {
+    const fs = options.fs || require('fs');
+    // Project directory that relative paths, the manifest and the undo journal are resolved from
+    const cwd = path.resolve(options.cwd || process.cwd());
+    const tool = options.tool || 'add-in';
+    const registries = [].concat(options.source || process.env.MIX_SOURCE || DEFAULT_GIST_LINKS_ID).map(parseRegistrySource);
+    const gitHubToken = options.gitHubToken !== undefined ? options.gitHubToken : (process.env.GITHUB_TOKEN || '');
+    const verbose = !!options.verbose;
+    const silent = !!options.silent;
+    const forceApproval = !!options.forceApproval;
+    const preserve = !!options.preserve;
+    const outDir = options.outDir || null;
+    const projectName = options.projectName || null;
+    const templateVars = options.vars || {};
+    const varsFile = options.varsFile || null;
+    const ignoreSslErrors = !!options.ignoreSslErrors;
+    const retries = options.retries !== undefined ? options.retries : HTTP_RETRIES;
+    const dryRun = !!options.dryRun;
+    const showDiff = !!options.showDiff;
+    const offline = !!options.offline;
+    const outputFormat = options.outputFormat || null;
+    const initAllowlist = options.initAllowlist || null;
+    const envCacheTtl = parseInt(process.env.MIX_CACHE_TTL, 10);
+    let cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : (envCacheTtl >= 0 ? envCacheTtl : DEFAULT_CACHE_TTL);
+    // Swapped for the tokens each add-in was applied with while updating
+    let replaceTokens = options.replaceTokens || [];
+
+    // In-memory cache for gist links and files, API responses are also cached on disk in getCacheDir()
+    const gistLinksCache = new Map();
+    const gistFilesCache = new Map();
+
+    // Values of template variables declared in _vars, shared by all gists in a run
+    const resolvedVars = new Map();
+
+    // Structured result of an apply or delete, written to jsonOutput with --json or --ndjson
+    let report = null;
+
+    // Transactions of applies in progress, rolled back by interrupt()
+    const activeTransactions = new Set();
+
+    const mixer = new EventEmitter();
+    // Messages meant for people, stdout is kept for JSON with --json or --ndjson
+    const input = options.input || process.stdin;
+    const output = options.output || (outputFormat ? process.stderr : process.stdout);
+    const jsonOutput = options.jsonOutput || process.stdout;
+    const prompt = options.prompt || createPrompt(output, input);
+
+    /**
+     * Make a request with the HTTP adapter, authenticated with the GitHub token
+     */
+    function request(url, requestOptions = {}) {
+        const headers = gitHubToken ? { 'Authorization': `token ${gitHubToken}` } : {};
+        return (options.httpRequest || httpRequest)(url, {
+            ...requestOptions,
+            headers: { ...headers, ...requestOptions.headers },
+            ignoreSslErrors,
+            retries,
+            onRetry: silent ? undefined : (e, attempt, delay) => {
+                log(`${e.message}, retrying in ${delay / 1000}s (${attempt}/${retries})...`);
+            }
+        });
+    }
+
+    /**
+     * Prompt user for yes/no, approved without asking with -y
+     */
+    function promptYesNo(message) {
+        return silent || forceApproval ? Promise.resolve(true) : prompt.confirm(message);
+    }
+
+    /**
+     * Write a line of output for people, formatted like console.log
+     */
+    function log(...args) {
+        output.write(util.format(...args) + '\n');
+    }
+
+    /**
+     * Get JSON from GitHub API
+     */
+    async function getJson(route) {
+        const url = route.startsWith('http') ? route : `https://api.github.com${route}`;
+        return getCachedJson(url, getCacheKey(route));
+    }
+
+    /**
+     * Read a cached API response
+     */
+    function readCacheEntry(cacheFile) {
+        const filePath = path.join(getCacheDir(), cacheFile);
+        try {
+            return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+        } catch (e) {
+            if (verbose) log(`Ignoring invalid cache entry ${filePath}: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Write an API response to the cache, failures are ignored so a read-only cache never breaks a mix
+     */
+    function writeCacheEntry(cacheFile, entry) {
+        const filePath = path.join(getCacheDir(), cacheFile);
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(entry));
+        } catch (e) {
+            if (verbose) log(`Could not write cache entry ${filePath}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Get JSON using the disk cache, revalidating stale entries with If-None-Match
+     */
+    async function getCachedJson(url, { file, immutable }) {
+        const cached = readCacheEntry(file);
+
+        if (offline) {
+            if (!cached) throw new Error(`'${url}' is not available offline, run again without --offline to cache it`);
+            if (verbose) log(`CACHE: ${url}`);
+            return cached.data;
+        }
+
+        const age = cached ? (Date.now() - cached.fetchedAt) / 1000 : Infinity;
+        if (cached && (immutable || age < cacheTtl)) {
+            if (verbose) log(`CACHE: ${url}`);
+            return cached.data;
+        }
+
+        if (verbose) log(`API: ${url}`);
+        const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+        let response;
+        try {
+            response = await request(url, { headers });
+        } catch (e) {
+            // Stale data is only used when GitHub can't be reached or is failing, not when a request is refused or rate limited
+            if (!cached || (e.statusCode && e.statusCode < 500)) throw e;
+            log(`Warning: ${e.message}, using ${url} cached at ${new Date(cached.fetchedAt).toLocaleString()}`);
+            return cached.data;
+        }
+
+        if (response.statusCode === 304) {
+            if (verbose) log(`NOT MODIFIED: ${url}`);
+            writeCacheEntry(file, { ...cached, fetchedAt: Date.now() });
+            return cached.data;
+        }
+
+        const data = JSON.parse(response.data);
+        writeCacheEntry(file, { url, etag: response.headers.etag || null, fetchedAt: Date.now(), data });
+        return data;
+    }
+
+    /**
+     * Cache a gist by its revision so it can be applied again offline or used as an update base
+     */
+    function cacheGistRevision(gistId, revision, json) {
+        const file = path.join('gists', gistId, `${revision}.json`);
+        if (!readCacheEntry(file)) {
+            writeCacheEntry(file, { url: `https://api.github.com/gists/${gistId}/${revision}`, etag: null, fetchedAt: Date.now(), data: json });
+        }
+    }
+
+    /**
+     * Download a file as a Buffer, raw gist URLs include the content SHA so they're cached indefinitely
+     */
+    async function getCachedRaw(url) {
+        const filePath = path.join(getCacheDir(), 'raw', hashContent(url));
+        if (fs.existsSync(filePath)) {
+            if (verbose) log(`CACHE: ${url}`);
+            return fs.readFileSync(filePath);
+        }
+        if (offline) {
+            throw new Error(`'${url}' is not available offline, run again without --offline to cache it`);
+        }
+
+        if (verbose) log(`RAW: ${url}`);
+        const response = await request(url, { binary: true, headers: { 'Accept': '*/*' } });
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, response.data);
+        } catch (e) {
+            if (verbose) log(`Could not write cache entry ${filePath}: ${e.message}`);
+        }
+        return response.data;
+    }
+
+    /**
+     * Replace MyApp placeholders with project name
+     */
+    function replaceMyApp(input, projName, fileName) {
+        if (!input || !projName) return input;
+
+        let result = input;
+        for (const [from, to] of getCaseReplacements('MyApp', projName)) {
+            result = result.split(from).join(to);
+        }
+
+        // Remove carriage returns on non-Windows
+        if (process.platform !== 'win32') {
+            result = result.replace(/\r/g, '');
+        }
+
+        // Apply custom replace tokens
+        for (const token of replaceTokens) {
+            result = applyReplaceToken(result, token, fileName);
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the variable values from -var-file and -var, -var values take precedence
+     */
+    function getCliVars() {
+        const vars = new Map();
+        if (varsFile) {
+            let content;
+            try {
+                content = fs.readFileSync(path.resolve(cwd, varsFile), 'utf8');
+            } catch (e) {
+                throw new Error(`Failed to read vars file '${varsFile}': ${e.message}`);
+            }
+            if (varsFile.toLowerCase().endsWith('.json')) {
+                let json;
+                try {
+                    json = JSON.parse(content);
+                } catch (e) {
+                    throw new Error(`Invalid vars file '${varsFile}': ${e.message}`);
+                }
+                for (const [name, value] of Object.entries(json)) {
+                    vars.set(name, String(value));
+                }
+            } else {
+                // KEY=value lines like a .env file
+                for (const line of content.split(/\r?\n/)) {
+                    const trimmed = line.trim();
+                    if (!trimmed || trimmed.startsWith('#')) continue;
+                    const eqPos = trimmed.indexOf('=');
+                    if (eqPos === -1) {
+                        throw new Error(`Invalid line in vars file '${varsFile}', expected key=value: ${trimmed}`);
+                    }
+                    vars.set(trimmed.substring(0, eqPos).trim(), trimmed.substring(eqPos + 1).trim());
+                }
+            }
+        }
+        for (const [name, value] of Object.entries(templateVars)) {
+            vars.set(name, value);
+        }
+        return vars;
+    }
+
+    /**
+     * Resolve the values of the variables a gist declares in _vars from -var, -var-file, `preset` values,
+     * values entered for earlier gists, a prompt or their default
+     */
+    async function resolveGistVars(content, source, preset = {}) {
+        if (!content) return {};
+
+        const declared = parseGistVars(Buffer.isBuffer(content) ? content.toString('utf8') : content, source);
+        const cliVars = getCliVars();
+        const interactive = (options.prompt || input.isTTY) && !forceApproval && !silent;
+        const values = {};
+
+        for (const v of declared) {
+            let value = cliVars.has(v.name) ? cliVars.get(v.name)
+                : preset[v.name] !== undefined ? preset[v.name]
+                : resolvedVars.get(v.name);
+
+            if (value === undefined) {
+                if (interactive) {
+                    value = await prompt.ask(v);
+                    if (value === null) {
+                        throw new Error('Operation cancelled by user.');
+                    }
+                } else if (v.default !== undefined) {
+                    value = v.default;
+                } else {
+                    throw new Error(`Missing value for '${v.name}' required by ${source}, use: -var ${v.name}=<value>`);
+                }
+            }
+
+            validateVar(v, value, source);
+            values[v.name] = value;
+            resolvedVars.set(v.name, value);
+        }
+        return values;
+    }
+
+    /**
+     * Check if a project file matching a pattern exists. Patterns without a folder match files in any folder
+     */
+    function projectFileExists(pattern) {
+        const normalized = pattern.replace(/\\/g, '/');
+        const slash = normalized.lastIndexOf('/');
+        if (slash === -1) {
+            return findFiles(cwd, normalized).length > 0;
+        }
+        const dir = path.resolve(cwd, osPaths(normalized.substring(0, slash)));
+        const fileName = normalized.substring(slash + 1);
+        return fileName.includes('*')
+            ? findFiles(dir, fileName, 1).length > 0
+            : fs.existsSync(path.join(dir, fileName));
+    }
+
+    /**
+     * Get the target frameworks of the project a gist is applied to, from the first .csproj in its folder or the project
+     */
+    function getTargetFrameworks(basePath) {
+        const csprojFiles = fs.existsSync(basePath) ? findFiles(basePath, '*.csproj', 1) : [];
+        const csproj = csprojFiles[0] || findFiles(cwd, '*.csproj')[0];
+        if (!csproj) return [];
+        const match = fs.readFileSync(csproj, 'utf8').match(/<TargetFrameworks?>([^<]+)<\/TargetFrameworks?>/);
+        return match ? match[1].split(';').map(f => f.trim()).filter(f => f) : [];
+    }
+
+    /**
+     * Check the conditions for a gist file, returns the reason it should be skipped or null if they're all met
+     */
+    function checkFileConditions(conditions, gistFileName, basePath, projName, vars) {
+        const normalizedName = gistFileName.replace(/\\/g, '/').replace(/\?$/, '');
+        const list = value => value === undefined ? [] : (Array.isArray(value) ? value : [value]);
+
+        for (const [pattern, condition] of Object.entries(conditions)) {
+            const normalizedPattern = pattern.replace(/\\/g, '/').replace(/\?$/, '');
+            if (normalizedPattern !== normalizedName && !globToRegex(normalizedPattern).test(normalizedName)) continue;
+
+            for (const filePattern of list(condition.exists)) {
+                if (!projectFileExists(replaceMyApp(filePattern, projName))) return `no file matching '${filePattern}'`;
+            }
+            for (const filePattern of list(condition.notExists)) {
+                if (projectFileExists(replaceMyApp(filePattern, projName))) return `'${filePattern}' exists`;
+            }
+            for (const tfmCondition of list(condition.targetFramework)) {
+                const frameworks = getTargetFrameworks(basePath);
+                if (frameworks.length === 0) return `no .csproj TargetFramework to check '${tfmCondition}'`;
+                if (!frameworks.some(tfm => matchesTargetFramework(tfm, tfmCondition))) {
+                    return `TargetFramework ${frameworks.join(';')} isn't ${tfmCondition}`;
+                }
+            }
+            for (const varCondition of list(condition.var)) {
+                const match = String(varCondition).match(/^(\w+)\s*(!=|=)\s*(.*)$/);
+                if (!match) {
+                    throw new Error(`Invalid var condition '${varCondition}', e.g. 'UseTailwind=true'`);
+                }
+                const [, name, op, expected] = match;
+                const value = vars[name] !== undefined ? vars[name] : getCliVars().get(name);
+                const equal = value !== undefined && value.toLowerCase() === expected.trim().toLowerCase();
+                if (equal !== (op === '=')) return `${name} is ${value !== undefined ? `'${value}'` : 'not set'}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the files of a GitHub repository, or one of its subfolders, at a branch, tag or commit.
+     * Files are keyed by their path relative to the subfolder using '\\' separators, the same as gist files.
+     */
+    async function getRepoFiles(url) {
+        const { user, repo, ref, path: subPath, treePath } = parseRepoUrl(url);
+        const repoRoute = `/repos/${user}/${repo}`;
+
+        const { commit, path: resolvedPath } = treePath
+            ? await resolveTreePath(repoRoute, treePath, url)
+            : { commit: await getJson(`${repoRoute}/commits/${encodeURIComponent(ref || 'HEAD')}`), path: subPath };
+        const sha = commit.sha;
+        const prefix = resolvedPath ? resolvedPath.replace(/\/+$/, '') + '/' : '';
+
+        let tree = await getJson(`${repoRoute}/git/trees/${sha}?recursive=1`);
+        let treePrefix = '';
+        if (tree.truncated && resolvedPath) {
+            // Too many files to list at once, walk down to the subfolder and only list its files
+            let treeSha = sha;
+            for (const segment of prefix.split('/').filter(p => p)) {
+                const level = await getJson(`${repoRoute}/git/trees/${treeSha}`);
+                const entry = level.tree.find(e => e.type === 'tree' && e.path === segment);
+                if (!entry) throw new Error(`Folder '${resolvedPath}' not found in '${url}'`);
+                treeSha = entry.sha;
+            }
+            tree = await getJson(`${repoRoute}/git/trees/${treeSha}?recursive=1`);
+            treePrefix = prefix;
+        }
+        if (tree.truncated) {
+            throw new Error(`Repository '${user}/${repo}' has too many files to list, use a URL to one of its subfolders instead`);
+        }
+
+        const blobs = tree.tree
+            .map(entry => ({ ...entry, path: treePrefix + entry.path }))
+            .filter(entry => entry.type === 'blob' && entry.path.startsWith(prefix));
+        if (blobs.length === 0) {
+            throw new Error(`No files found in '${url}'`);
+        }
+
+        const files = {};
+        for (const blob of blobs) {
+            const rawPath = blob.path.split('/').map(encodeURIComponent).join('/');
+            const buffer = await getCachedRaw(`https://raw.githubusercontent.com/${user}/${repo}/${sha}/${rawPath}`);
+            const fileName = blob.path.substring(prefix.length).replace(/\//g, '\\');
+            files[fileName] = isBinaryContent(buffer) ? buffer : buffer.toString('utf8');
+        }
+
+        return { files, url, gistId: null, revision: sha, path: resolvedPath };
+    }
+
+    /**
+     * Resolve what follows `/tree/` in a repository URL to a commit and subfolder. Refs can contain '/', so each
+     * leading run of segments is tried as a ref, shortest first as git can't have both a 'feature' and 'feature/x' branch
+     */
+    async function resolveTreePath(repoRoute, treePath, url) {
+        const segments = treePath.split('/');
+        for (let i = 1; i <= segments.length; i++) {
+            try {
+                const commit = await getJson(`${repoRoute}/commits/${encodeURIComponent(segments.slice(0, i).join('/'))}`);
+                return { commit, path: segments.slice(i).join('/') || null };
+            } catch (e) {
+                if (e.statusCode !== 404 && e.statusCode !== 422) throw e;
+            }
+        }
+        throw new Error(`No branch, tag or commit found in '${url}'`);
+    }
+
+    /**
+     * Check if source is a local directory, archive or file:// URL
+     */
+    function isLocalSource(source) {
+        if (source.startsWith('file://')) return true;
+        if (/^(\.{1,2}[\\/]|[\\/]|~[\\/]|[a-zA-Z]:[\\/])/.test(source)) return true;
+        return /\.(zip|tar|tar\.gz|tgz|md)$/i.test(source) && fs.existsSync(path.resolve(cwd, source));
+    }
+
+    /**
+     * Recursively read the files in a local directory
+     */
+    function readLocalDirectory(dir, relativeDir = '') {
+        const files = [];
+        for (const entry of fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true })) {
+            if (entry.name === '.git' || entry.name === 'node_modules') continue;
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                files.push(...readLocalDirectory(dir, relativePath));
+            } else if (entry.isFile()) {
+                files.push({ path: relativePath, data: fs.readFileSync(path.join(dir, relativePath)) });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Get the files of a local add-in directory, zip or tarball.
+     * Files are keyed by their relative path using '\\' separators, the same as gist files.
+     */
+    function getLocalFiles(source) {
+        const localPath = resolveLocalPath(source, cwd);
+        if (!fs.existsSync(localPath)) {
+            throw new Error(`Local add-in '${source}' does not exist`);
+        }
+
+        let entries;
+        if (fs.statSync(localPath).isDirectory()) {
+            entries = readLocalDirectory(localPath);
+        } else if (/\.zip$/i.test(localPath)) {
+            entries = stripCommonRoot(extractZip(fs.readFileSync(localPath)));
+        } else if (/\.(tar|tar\.gz|tgz)$/i.test(localPath)) {
+            entries = stripCommonRoot(extractTar(fs.readFileSync(localPath)));
+        } else {
+            throw new Error(`Unsupported local add-in '${source}', expected a directory, .zip or .tar.gz`);
+        }
+
+        const files = {};
+        for (const entry of entries) {
+            const fileName = entry.path.replace(/\//g, '\\');
+            files[fileName] = isBinaryContent(entry.data) ? entry.data : entry.data.toString('utf8');
+        }
+        return { files, url: localPath, gistId: null, revision: null };
+    }
+
+    /**
+     * Get gist files from GitHub
+     */
+    async function getGistFiles(gistIdOrUrl) {
+        const cacheKey = gistIdOrUrl;
+        if (gistFilesCache.has(cacheKey)) {
+            return gistFilesCache.get(cacheKey);
+        }
+
+        let gistUrl;
+        let gistId;
+
+        if (isLocalSource(gistIdOrUrl)) {
+            const result = getLocalFiles(gistIdOrUrl);
+            gistFilesCache.set(cacheKey, result);
+            return result;
+        } else if (!gistIdOrUrl.includes('://')) {
+            // Plain gist ID
+            gistId = gistIdOrUrl;
+            gistUrl = `https://gist.github.com/${gistIdOrUrl}`;
+        } else if (gistIdOrUrl.startsWith('https://gist.github.com/')) {
+            gistUrl = gistIdOrUrl;
+            const parts = gistIdOrUrl.substring('https://gist.github.com/'.length).split('/');
+            if (parts.length === 3) {
+                gistId = parts.slice(1).join('/');
+            } else if (parts.length === 2) {
+                const firstPartLen = parts[0].length;
+                gistId = (firstPartLen === GIST_ID_LENGTH_SHORT || firstPartLen === GIST_ID_LENGTH_LONG)
+                    ? parts.join('/')
+                    : parts.slice(1).join('/');
+            } else if (parts.length === 1) {
+                gistId = parts[0];
+            } else {
+                throw new Error(`Invalid Gist URL '${gistIdOrUrl}'`);
+            }
+        } else if (gistIdOrUrl.startsWith('https://github.com/')) {
+            const result = await getRepoFiles(gistIdOrUrl);
+            gistFilesCache.set(cacheKey, result);
+            return result;
+        } else {
+            // Custom URL
+            gistUrl = gistIdOrUrl;
+            const json = await getJson(gistIdOrUrl);
+            const result = { files: await fromJsonGist(json, gistIdOrUrl), url: gistUrl, gistId: null, revision: getGistRevision(json) };
+            gistFilesCache.set(cacheKey, result);
+            return result;
+        }
+
+        const json = await getJson(`/gists/${gistId}`);
+        const [id, pinnedRevision] = gistId.split('/');
+        const result = {
+            files: await fromJsonGist(json, gistId),
+            url: gistUrl,
+            gistId: id,
+            revision: pinnedRevision || getGistRevision(json),
+        };
+        if (!pinnedRevision && result.revision) {
+            cacheGistRevision(id, result.revision, json);
+        }
+        gistFilesCache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Parse gist files from JSON response. Text files are returned as strings, binary files as Buffers.
+     * Truncated and binary files are downloaded in full from their raw_url.
+     */
+    async function fromJsonGist(response, gistRef) {
+        const files = response.files;
+        if (!files) {
+            throw new Error(`Invalid gist response returned for '${gistRef}'`);
+        }
+
+        const result = {};
+        for (const [filename, meta] of Object.entries(files)) {
+            const content = meta.content;
+            const truncated = meta.truncated || (content != null && meta.size > Buffer.byteLength(content));
+
+            if ((truncated || !isTextMimeType(meta.type)) && meta.raw_url) {
+                if (verbose) log(`Downloading ${truncated ? 'truncated' : meta.type} file '${filename}'`);
+                const buffer = await getCachedRaw(meta.raw_url);
+                if (meta.size && buffer.length < meta.size) {
+                    throw new Error(`File '${filename}' in '${gistRef}' is too large to download (${meta.size} bytes)`);
+                }
+                result[filename] = isBinaryContent(buffer) ? buffer : buffer.toString('utf8');
+                continue;
+            }
+
+            result[filename] = content || '';
+        }
+        return result;
+    }
+
+    /**
+     * Get gist links from the registries, fetched in parallel and merged in the order they're configured.
+     * Registries that fail are reported and skipped unless they all fail
+     */
+    async function getGistApplyLinks() {
+        if (registries.length === 1 && !registries[0].prefix) {
+            return getRegistryLinks(registries[0].source);
+        }
+
+        const cacheKey = registries.map(r => `${r.prefix || ''}=${r.source}`).join('\n');
+        if (gistLinksCache.has(cacheKey)) {
+            return gistLinksCache.get(cacheKey);
+        }
+
+        const results = await Promise.allSettled(registries.map(r => getRegistryLinks(r.source)));
+        const failed = results.filter(r => r.status === 'rejected');
+        if (failed.length === results.length) {
+            throw failed[0].reason;
+        }
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                log(`Could not load registry ${registries[i].prefix || registries[i].source}: ${result.reason.message}`);
+            }
+        });
+
+        const { links, warnings } = mergeRegistryLinks(registries
+            .map((registry, i) => ({ ...registry, links: results[i].value }))
+            .filter(registry => registry.links));
+        warnings.forEach(warning => log(`Warning: ${warning}`));
+        gistLinksCache.set(cacheKey, links);
+        return links;
+    }
+
+    /**
+     * Get gist links from a registry
+     */
+    async function getRegistryLinks(gistLinksId) {
+        const cacheKey = `${gistLinksId}:mix.md`;
+        if (gistLinksCache.has(cacheKey)) {
+            return gistLinksCache.get(cacheKey);
+        }
+
+        // Local registries, e.g. -s ./mix.md, can link to add-ins relative to their own location
+        const { mixMd, baseDir } = await getRegistryMarkdown(gistLinksId);
+        const links = parseGistLinks(mixMd).map(link => baseDir && /^\.{1,2}[\\/]/.test(link.url)
+            ? { ...link, url: path.resolve(baseDir, link.url) }
+            : link);
+
+        gistLinksCache.set(cacheKey, links);
+        return links;
+    }
+
+    /**
+     * Get the mix.md of a registry, with the directory its relative links are resolved from if it's local
+     */
+    async function getRegistryMarkdown(gistLinksId) {
+        let mixMd;
+        let baseDir = null;
+        if (isLocalSource(gistLinksId)) {
+            const localPath = resolveLocalPath(gistLinksId, cwd);
+            const isFile = fs.existsSync(localPath) && fs.statSync(localPath).isFile() && /\.md$/i.test(localPath);
+            mixMd = isFile
+                ? fs.readFileSync(localPath, 'utf8')
+                : (await getGistFiles(gistLinksId)).files['mix.md'];
+            baseDir = isFile ? path.dirname(localPath) : localPath;
+        } else {
+            const { files } = await getGistFiles(gistLinksId);
+            mixMd = files['mix.md'];
+        }
+
+        if (!mixMd) {
+            throw new Error(`Could not find 'mix.md' file in gist '${gistLinksId}'`);
+        }
+        return { mixMd, baseDir };
+    }
+
+    /**
+     * Resolve base path for output
+     */
+    function resolveBasePath(to, exSuffix = '') {
+        if (to === '.' || !to) {
+            return cwd;
+        }
+
+        const problem = getLocationProblem(to, process.platform);
+        if (problem) {
+            throw new Error(`Invalid location '${to}', ${problem.message}${exSuffix}`);
+        }
+
+        if (to.startsWith('/') || to.includes(':\\')) {
+            return to;
+        }
+
+        if (to.startsWith('$HOST')) {
+            for (const hostFile of HOST_FILES) {
+                const files = findFiles(cwd, hostFile);
+                if (files.length > 0) {
+                    return path.dirname(files[0]);
+                }
+            }
+            throw new Error(`Couldn't find host project location containing any of ${HOST_FILES.join(', ')}${exSuffix}`);
+        }
+
+        if (to.startsWith('$HOME')) {
+            return to.replace('$HOME', os.homedir());
+        }
+
+        if (to.endsWith('/')) {
+            const dirName = to.slice(0, -1);
+            const dirs = findDirectories(cwd, dirName);
+            if (dirs.length === 0) {
+                throw new Error(`Unable to find Directory named '${dirName}'${exSuffix}`);
+            }
+            return dirs[0];
+        }
+
+        const files = findFiles(cwd, to);
+        if (files.length === 0) {
+            throw new Error(`Unable to find File named '${to}'${exSuffix}`);
+        }
+        return path.dirname(files[0]);
+    }
+
+    /**
+     * Find files matching pattern recursively
+     */
+    function findFiles(dir, pattern, maxDepth = 10) {
+        const results = [];
+        if (maxDepth <= 0) return results;
+
+        try {
+            const entries = fs.readdirSync(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+
+                const fullPath = path.join(dir, entry.name);
+
+                if (entry.isDirectory()) {
+                    if (entry.name !== 'node_modules' && entry.name !== 'bin' && entry.name !== 'obj') {
+                        results.push(...findFiles(fullPath, pattern, maxDepth - 1));
+                    }
+                } else if (entry.isFile()) {
+                    if (pattern.includes('*')) {
+                        const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
+                        if (regex.test(entry.name)) {
+                            results.push(fullPath);
+                        }
+                    } else if (entry.name === pattern) {
+                        results.push(fullPath);
+                    }
+                }
+            }
+        } catch (e) {
+            // Ignore permission errors
+        }
+        return results;
+    }
+
+    /**
+     * Find directories matching name recursively
+     */
+    function findDirectories(dir, name, maxDepth = 10) {
+        const results = [];
+        if (maxDepth <= 0) return results;
+
+        try {
+            const entries = fs.readdirSync(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+
+                if (entry.isDirectory()) {
+                    const fullPath = path.join(dir, entry.name);
+                    if (entry.name === name) {
+                        results.push(fullPath);
+                    }
+                    if (entry.name !== 'node_modules' && entry.name !== 'bin' && entry.name !== 'obj') {
+                        results.push(...findDirectories(fullPath, name, maxDepth - 1));
+                    }
+                }
+            }
+        } catch (e) {
+            // Ignore permission errors
+        }
+        return results;
+    }
+
+    /**
+     * Resolve file path for gist file
+     */
+    function resolveFilePath(gistFilePath, basePath, projName, applyTo) {
+        let fileName = replaceMyApp(osPaths(gistFilePath), projName, gistFilePath);
+        if (fileName.endsWith('?')) {
+            fileName = fileName.slice(0, -1);
+        }
+
+        // File names from gists and archives can't be absolute or escape the folder they're written to
+        const resolvedFile = path.resolve(basePath, osPaths(fileName));
+        if (/^([\\/]|[a-zA-Z]:)/.test(fileName) || !isPathInside(resolvedFile, basePath)) {
+            throw new Error(`Invalid file name '${gistFilePath}', files must be written inside ${basePath}`);
+        }
+
+        // Handle $HOST gists that write to folders
+        const writesToFolder = gistFilePath.includes('\\');
+        if (applyTo === '$HOST' && writesToFolder && !fs.existsSync(path.dirname(resolvedFile))) {
+            const currentBasePath = cwd;
+            const tryPath = projName + '.' + gistFilePath;
+            const resolvedPath = resolveFilePath(tryPath, currentBasePath, projName, '.');
+            if (fs.existsSync(path.dirname(resolvedPath))) {
+                if (verbose) log(`Using matching qualified path: ${resolvedPath}`);
+                return resolvedPath;
+            }
+        }
+
+        return resolvedFile;
+    }
+
+    /**
+     * Print gist links, or write them as JSON with --json
+     */
+    function printGistLinks(tool, links, tag = null, usage = null) {
+        if (outputFormat) {
+            writeJson(tag ? links.filter(l => matchesTag(l, tag)) : links);
+            return;
+        }
+
+        log('');
+
+        const tags = [...new Set(links.filter(l => l.tags).flatMap(l => l.tags))].sort();
+
+        if (tag) {
+            links = links.filter(l => l.tags && matchesTag(l, tag));
+            const plural = tag.includes(',') ? 's' : '';
+            log(`Results matching tag${plural} [${tag}]:`);
+            log('');
+        }
+
+        const padName = Math.max(...links.map(l => l.name.length)) + 1;
+        const padTo = Math.max(...links.map(l => (l.to || '').length)) + 1;
+        const padBy = Math.max(...links.map(l => l.user.length)) + 1;
+        const padDesc = Math.max(...links.map(l => l.description.length)) + 1;
+        const padFrom = Math.max(...links.map(l => (l.registry || '').length)) + 1;
+
+        links.forEach((link, i) => {
+            const toLabel = link.to ? ` to: ${link.to.padEnd(padTo, ' ')}` : '';
+            const fromLabel = link.registry ? ` from: ${link.registry.padEnd(padFrom, ' ')}` : '';
+            const tagsStr = link.tags ? `[${link.tags.join(',')}]` : '';
+            log(` ${String(i + 1).padStart(3, ' ')}. ${link.name.padEnd(padName, ' ')} ${link.description.padEnd(padDesc, ' ')}${toLabel} by @${link.user.padEnd(padBy, ' ')}${fromLabel} ${tagsStr}`);
+        });
+
+        log('');
+
+        if (usage) {
+            log(usage);
+            return;
+        }
+
+        log(`   Usage: ${tool} <name> <name> ...`);
+        log('');
+        log(`  Search: ${tool} [tag] Available tags: ${tags.join(', ')}`);
+        log('');
+        log(`Advanced: ${tool} ?`);
+    }
+
+    /**
+     * Write a value to jsonOutput as JSON, or with --ndjson each of `items` as a line of JSON
+     */
+    function writeJson(value, items = value) {
+        if (outputFormat === 'ndjson') {
+            for (const item of items) {
+                jsonOutput.write(JSON.stringify(item) + '\n');
+            }
+        } else {
+            jsonOutput.write(JSON.stringify(value, null, 2) + '\n');
+        }
+    }
+
+    /**
+     * Run an apply or delete and write its report to jsonOutput, also when it fails
+     */
+    async function runWithReport(command, fn) {
+        report = { command, ok: true, dryRun, gists: [], errors: [] };
+        try {
+            return await fn();
+        } catch (e) {
+            report.ok = false;
+            report.errors.push(e.message);
+            throw e;
+        } finally {
+            writeJson(report, getReportItems(report));
+            report = null;
+        }
+    }
+
+    /**
+     * Apply a JSON patch, XML patch or injection file to its target file
+     */
+    function patchFile(targetFile, patchPath) {
+        const before = fs.readFileSync(targetFile, 'utf8');
+        const after = patchContent(patchPath, before, fs.readFileSync(patchPath, 'utf8'));
+        if (after !== before) {
+            fs.writeFileSync(targetFile, after);
+        }
+    }
+
+    /**
+     * Get path to the project's install manifest
+     */
+    function getManifestPath() {
+        return path.join(cwd, MANIFEST_DIR, MANIFEST_FILE);
+    }
+
+    /**
+     * Store file paths relative to the project so the manifest stays valid if the project is moved
+     */
+    function toManifestPath(filePath) {
+        const relative = path.relative(cwd, filePath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) return filePath.replace(/\\/g, '/');
+        return relative.replace(/\\/g, '/');
+    }
+
+    /**
+     * Resolve a manifest file path to an absolute path
+     */
+    function fromManifestPath(filePath) {
+        return path.resolve(cwd, osPaths(filePath));
+    }
+
+    /**
+     * Read the project's install manifest, returns an empty manifest if none exists
+     */
+    function readManifest() {
+        const manifestPath = getManifestPath();
+        if (!fs.existsSync(manifestPath)) {
+            return { version: 1, gists: [] };
+        }
+        try {
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            if (!Array.isArray(manifest.gists)) manifest.gists = [];
+            return manifest;
+        } catch (e) {
+            throw new Error(`Invalid manifest '${manifestPath}': ${e.message}`);
+        }
+    }
+
+    /**
+     * Write the project's install manifest
+     */
+    function writeManifest(manifest) {
+        const manifestPath = getManifestPath();
+        fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    }
+
+    /**
+     * Record the files an applied gist wrote, replacing any previous entry for the same gist
+     */
+    function recordManifestEntry(entry) {
+        const manifest = readManifest();
+        const existing = findManifestEntry(manifest, entry.alias);
+        manifest.gists = manifest.gists.filter(g => g !== existing);
+        manifest.gists.push(entry);
+        writeManifest(manifest);
+    }
+
+    /**
+     * Remove the entries of deleted gists from the manifest
+     */
+    function removeManifestEntries(entries) {
+        if (entries.length === 0) return;
+        const manifest = readManifest();
+        const aliases = entries.map(e => e.alias);
+        manifest.gists = manifest.gists.filter(g => !aliases.includes(g.alias));
+        writeManifest(manifest);
+    }
+
+    /**
+     * Compute what writing a resolved gist file would change on disk. `pending` holds the contents of files
+     * that earlier gists in the same run will write, so previews of later gists include their changes.
+     */
+    function previewGistFile(file, pending = new Map()) {
+        let filePath = file.path;
+        let content = file.content;
+
+        if (filePath.endsWith('|base64')) {
+            filePath = filePath.slice(0, -7);
+            if (!Buffer.isBuffer(content)) content = Buffer.from(content, 'base64');
+        }
+        const binary = Buffer.isBuffer(content);
+        const readCurrent = target => pending.has(target)
+            ? Buffer.from(pending.get(target))
+            : (fs.existsSync(target) ? fs.readFileSync(target) : null);
+
+        const patchTarget = getPatchTarget(filePath);
+        if (patchTarget) {
+            const current = readCurrent(patchTarget);
+            if (current !== null) {
+                const before = current.toString('utf8');
+                const after = patchContent(filePath, before, content);
+                pending.set(patchTarget, after);
+                return {
+                    path: patchTarget,
+                    source: filePath,
+                    status: before === after ? 'unchanged' : 'modified',
+                    before,
+                    after,
+                    patch: true
+                };
+            }
+            if (filePath.endsWith('.inject')) {
+                throw new Error(`Failed to patch '${patchTarget}': File to inject into not found`);
+            }
+        }
+
+        const existing = readCurrent(filePath);
+        pending.set(filePath, content);
+        if (existing === null) {
+            return { path: filePath, status: 'new', before: null, after: content, binary };
+        }
+
+        const same = Buffer.isBuffer(content)
+            ? existing.equals(content)
+            : existing.toString('utf8') === content;
+        return {
+            path: filePath,
+            status: same ? 'unchanged' : 'modified',
+            before: binary ? existing : existing.toString('utf8'),
+            after: content,
+            binary
+        };
+    }
+
+    /**
+     * Print unified diffs of new and modified files
+     */
+    function printPreviewDiffs(previews) {
+        const useColor = output.isTTY && !process.env.NO_COLOR;
+        for (const preview of previews) {
+            if (preview.status === 'unchanged') continue;
+
+            const displayPath = toManifestPath(preview.path);
+            if (preview.binary) {
+                log(`\nBinary file ${displayPath} ${preview.status === 'new' ? 'created' : 'differs'}`);
+                continue;
+            }
+
+            const oldLabel = preview.before === null ? '/dev/null' : `a/${displayPath}`;
+            const diff = unifiedDiff(preview.before || '', preview.after, oldLabel, `b/${displayPath}`);
+            if (diff) {
+                log('');
+                output.write(useColor ? colorizeDiff(diff) : diff);
+            }
+        }
+    }
+
+    /**
+     * Print the result of rolling back a transaction
+     */
+    function printRollback(result) {
+        const plural = n => n !== 1 ? 's' : '';
+        log(`Rolled back: restored ${result.restored} file${plural(result.restored)}, removed ${result.removed} new file${plural(result.removed)}`);
+        for (const error of result.errors) {
+            log(`  Could not roll back ${error}`);
+        }
+    }
+
+    /**
+     * Create a transaction that keeps the original contents of every file changed through it,
+     * so they can all be restored if applying gists fails
+     */
+    function createTransaction() {
+        const backups = new Map();
+        const createdDirs = [];
+        const patched = new Set();
+        let interrupted = false;
+        const assertNotInterrupted = () => {
+            if (interrupted) throw new Error('Interrupted');
+        };
+
+        return {
+            /**
+             * Keep the original contents of a file before it's first changed, `internal` files aren't counted in summaries
+             */
+            backup(filePath, { patch = false, internal = false } = {}) {
+                assertNotInterrupted();
+                if (!backups.has(filePath)) {
+                    backups.set(filePath, {
+                        content: fs.existsSync(filePath) ? fs.readFileSync(filePath) : null,
+                        internal
+                    });
+                }
+                if (patch) patched.add(filePath);
+            },
+
+            /**
+             * Create a directory, keeping track of new directories so they can be removed on rollback
+             */
+            ensureDir(dir) {
+                assertNotInterrupted();
+                const missing = [];
+                for (let current = dir; !fs.existsSync(current); current = path.dirname(current)) {
+                    missing.push(current);
+                }
+                if (missing.length > 0) {
+                    fs.mkdirSync(dir, { recursive: true });
+                    createdDirs.push(...missing);
+                }
+            },
+
+            get hasChanges() {
+                return backups.size > 0 || createdDirs.length > 0;
+            },
+
+            /**
+             * Get the original contents of every changed file and the directories that were created
+             */
+            journal() {
+                return {
+                    files: [...backups].map(([filePath, backup]) => ({ path: filePath, ...backup })),
+                    dirs: createdDirs.slice()
+                };
+            },
+
+            /**
+             * Count the files that were created, overwritten and patched
+             */
+            summary() {
+                const result = { created: 0, overwritten: 0, patched: 0 };
+                for (const [filePath, backup] of backups) {
+                    if (backup.internal || !fs.existsSync(filePath)) continue;
+                    if (backup.content === null) result.created++;
+                    else if (patched.has(filePath)) result.patched++;
+                    else if (!backup.content.equals(fs.readFileSync(filePath))) result.overwritten++;
+                }
+                return result;
+            },
+
+            /**
+             * Restore every changed file and remove new files and directories
+             */
+            rollback() {
+                const result = { restored: 0, removed: 0, errors: [] };
+                for (const [filePath, backup] of [...backups].reverse()) {
+                    try {
+                        if (backup.content === null) {
+                            if (fs.existsSync(filePath)) {
+                                fs.unlinkSync(filePath);
+                                if (!backup.internal) result.removed++;
+                            }
+                        } else {
+                            fs.writeFileSync(filePath, backup.content);
+                            if (!backup.internal) result.restored++;
+                        }
+                    } catch (e) {
+                        result.errors.push(`${filePath}: ${e.message}`);
+                    }
+                }
+                for (const dir of createdDirs.sort((a, b) => b.length - a.length)) {
+                    try {
+                        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+                            fs.rmdirSync(dir);
+                        }
+                    } catch (e) {
+                        result.errors.push(`${dir}: ${e.message}`);
+                    }
+                }
+                backups.clear();
+                createdDirs.length = 0;
+                return result;
+            },
+
+            /**
+             * Roll back and fail any further changes, so an interrupted apply can't write after it's rolled back
+             */
+            interrupt() {
+                interrupted = true;
+                return this.rollback();
+            }
+        };
+    }
+
+    /**
+     * Run `fn` in a transaction, every file it changed is restored if it fails or is interrupted with Ctrl+C
+     */
+    async function runInTransaction(fn) {
+        const transaction = createTransaction();
+        activeTransactions.add(transaction);
+
+        try {
+            return await fn(transaction);
+        } catch (e) {
+            if (transaction.hasChanges) {
+                log('');
+                printRollback(transaction.rollback());
+            }
+            throw e;
+        } finally {
+            activeTransactions.delete(transaction);
+        }
+    }
+
+    /**
+     * Roll back the changes of any apply in progress, e.g. when the user presses Ctrl+C. Signal handling is left
+     * to the caller, which can exit once this returns. Emits 'interrupt' with the result of each rollback
+     */
+    function interruptTransactions() {
+        const rollbacks = [...activeTransactions].map(transaction => transaction.interrupt());
+        activeTransactions.clear();
+        log('');
+        log('Interrupted.');
+        rollbacks.forEach(printRollback);
+        mixer.emit('interrupt', { rollbacks });
+        return rollbacks;
+    }
+
+    /**
+     * Write gist files to disk
+     */
+    async function writeGistFile(gistIdOrUrl, gistAlias, to, projName) {
+        const gist = await resolveGistFiles(gistIdOrUrl, gistAlias, to, projName);
+        await runInTransaction(transaction => writeResolvedGist(gist, new Map(), transaction, forceApproval));
+    }
+
+    /**
+     * Resolve where each of a gist's files will be written, without writing anything
+     */
+    async function resolveGistFiles(gistIdOrUrl, gistAlias, to, projName) {
+        projName = sanitizeProjectName(projName);
+
+        const { files, url: gistLinkUrl, gistId, revision } = await getGistFiles(gistIdOrUrl);
+        const source = gistAlias && !gistAlias.includes('://') ? `'${gistAlias}'` : gistLinkUrl;
+        const vars = await resolveGistVars(files._vars, source);
+        const conditions = parseFileConditions(files._conditions, source);
+
+        const resolvedFiles = [];
+        const skippedFiles = [];
+        let initFile = null;
+
+        for (const [gistFileName, content] of Object.entries(files)) {
+            if (gistFileName === '_vars' || gistFileName === '_conditions') continue;
+            const fileName = replaceVars(gistFileName, vars);
+            if (fileName.includes('..')) {
+                throw new Error(`Invalid file name '${fileName}' from '${gistLinkUrl}'`);
+            }
+
+            const alias = gistAlias ? `'${gistAlias}' ` : '';
+            const exSuffix = ` required by ${alias}${gistLinkUrl}`;
+            const basePath = resolveBasePath(to, exSuffix);
+
+            const skipReason = checkFileConditions(conditions, gistFileName, basePath, projName, vars);
+            if (skipReason) {
+                const skippedPath = fileName === '_init' ? fileName : resolveFilePath(fileName, basePath, projName, to);
+                if (verbose) log(`Skipping ${skippedPath}, ${skipReason}`);
+                skippedFiles.push({ path: skippedPath, reason: skipReason });
+                continue;
+            }
+
+            if (fileName === '_init') {
+                initFile = { name: fileName, content };
+                continue;
+            }
+
+            const resolvedFile = resolveFilePath(fileName, basePath, projName, to);
+            const noOverride = preserve || fileName.endsWith('?');
+            if (noOverride && fs.existsSync(resolvedFile)) {
+                if (verbose) log(`Skipping existing optional file: ${resolvedFile}`);
+                skippedFiles.push({ path: resolvedFile, reason: fileName.endsWith('?') ? 'optional' : 'preserve' });
+                continue;
+            }
+
+            resolvedFiles.push({
+                path: resolvedFile,
+                content: Buffer.isBuffer(content) ? content : replaceVars(replaceMyApp(content, projName, gistFileName), vars),
+                originalName: fileName
+            });
+        }
+
+        mixer.emit('resolve', { gist: gistAlias, url: gistLinkUrl, files: resolvedFiles.map(f => f.path), skipped: skippedFiles });
+        return { gistAlias, gistLinkUrl, gistId, revision, to, projName, vars, resolvedFiles, skippedFiles, initFile };
+    }
+
+    /**
+     * Prompt for approval unless it's already `approved`, run _init commands and write the files of a resolved gist.
+     * Every file is backed up in `transaction` before it's changed.
+     */
+    async function writeResolvedGist(gist, pending, transaction, approved) {
+        const { gistAlias, gistLinkUrl, gistId, revision, to, projName, vars, resolvedFiles, skippedFiles, initFile } = gist;
+
+        // Display files and prompt for approval
+        const label = gistAlias && !gistAlias.includes('://') && !isLocalSource(gistAlias) ? `'${gistAlias}' ` : '';
+        const previews = resolvedFiles.map(file => previewGistFile(file, pending));
+
+        const gistReport = { alias: gistAlias, url: gistLinkUrl, files: [], init: [] };
+        if (report) report.gists.push(gistReport);
+        for (const preview of previews) {
+            gistReport.files.push(preview.status === 'unchanged'
+                ? { path: toManifestPath(preview.path), action: 'skipped', reason: 'unchanged' }
+                : { path: toManifestPath(preview.path), action: preview.patch ? 'patched' : (preview.status === 'new' ? 'created' : 'overwritten') });
+        }
+        for (const file of skippedFiles) {
+            gistReport.files.push({ path: toManifestPath(file.path), action: 'skipped', reason: file.reason });
+        }
+
+        if (!silent || dryRun) {
+            const padStatus = 10;
+            let message = `\nWrite files from ${label}${decodeURIComponent(gistLinkUrl)} to:\n\n`;
+            for (const preview of previews) {
+                const note = preview.patch ? ` (patched by ${path.basename(preview.source)})` : '';
+                message += `  ${preview.status.padEnd(padStatus, ' ')} ${preview.path}${note}\n`;
+            }
+            for (const file of skippedFiles) {
+                message += `  ${'skipped'.padEnd(padStatus, ' ')} ${file.path} (${file.reason})\n`;
+            }
+
+            if (showDiff) {
+                printPreviewDiffs(previews);
+            }
+
+            if (dryRun) {
+                log(message.replace('Write files from', 'Would write files from'));
+            } else if (!approved) {
+                const approved = await promptYesNo(message);
+                if (!approved) {
+                    throw new Error('Operation cancelled by user.');
+                }
+            } else {
+                log(message.replace('Write files from', 'Writing files from'));
+            }
+        }
+
+        if (dryRun) {
+            if (initFile && verbose) log('Skipping _init commands in dry run');
+            return;
+        }
+
+        // Execute _init file commands
+        if (initFile) {
+            const hostDir = resolveBasePath(to, ` required by ${gistLinkUrl}`);
+            const lines = initFile.content.split('\n');
+
+            // Commands run before any files are written and can't be undone, only the project files they're known to
+            // modify in this folder are restored on rollback, and removed if a command creates them, e.g. a lock file.
+            // Anything else they change, like node_modules or files in other folders, is left as it is
+            for (const pattern of INIT_MODIFIED_FILES) {
+                if (!pattern.includes('*')) {
+                    transaction.backup(path.join(hostDir, pattern), { internal: true });
+                    continue;
+                }
+                const regex = new RegExp('^' + pattern.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$');
+                for (const fileName of fs.readdirSync(hostDir).filter(f => regex.test(f))) {
+                    transaction.backup(path.join(hostDir, fileName), { internal: true });
+                }
+            }
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (trimmed.startsWith('#')) continue;
+
+                const cmd = trimmed;
+
+                // Only allow specific commands
+                const reason = checkInitCommand(cmd, initAllowlist);
+                if (reason) {
+                    if (verbose) log(`Command '${cmd}' ${reason}`);
+                    continue;
+                }
+
+                // Check for illegal characters
+                if (/["'&;$@|>]/.test(cmd)) {
+                    log(`Command contains illegal characters, ignoring: '${cmd}'`);
+                    continue;
+                }
+
+                // Execute command using spawn with argument array for better security
+                log(cmd);
+                const cmdParts = cmd.split(' ');
+                const executable = cmdParts[0];
+                const rawArgs = cmdParts.slice(1);
+                const cmdArgs = rawArgs.map(arg => replaceVars(replaceMyApp(arg, projName.replace(/\./g, '_')), vars));
+
+                // Command output goes to the mixer's output, which is stderr when stdout is kept for --json output
+                const stdout = typeof output.fd === 'number' ? output : 'pipe';
+                const result = require('child_process').spawnSync(executable, cmdArgs, { 
+                    cwd: hostDir, 
+                    stdio: ['inherit', stdout, 'inherit'],
+                    shell: false
+                });
+                if (stdout === 'pipe' && result.stdout) output.write(result.stdout.toString());
+                const initReport = { command: cmd, exitCode: result.status };
+                if (result.error) {
+                    initReport.error = `Failed to execute: ${cmd}: ${result.error.message}`;
+                } else if (result.status !== 0) {
+                    const reason = result.signal ? `was terminated by ${result.signal}` : `exited with code ${result.status}`;
+                    initReport.error = `Command '${cmd}' ${reason}`;
+                }
+                gistReport.init.push(initReport);
+                mixer.emit('initCommand', { gist: gistAlias, ...initReport });
+                if (initReport.error) {
+                    throw new Error(initReport.error);
+                }
+            }
+        }
+
+        // Write files
+        const writtenFiles = [];
+        for (const file of resolvedFiles) {
+            if (file.originalName === '_init') continue;
+
+            if (verbose) log(`Writing ${file.path}...`);
+
+            transaction.ensureDir(path.dirname(file.path));
+
+            let filePath = file.path;
+            let content = file.content;
+
+            // Handle base64 encoded files
+            if (filePath.endsWith('|base64')) {
+                filePath = filePath.slice(0, -7);
+                if (!Buffer.isBuffer(content)) content = Buffer.from(content, 'base64');
+            }
+            // Binary files are written byte-for-byte
+            const existed = fs.existsSync(filePath);
+            transaction.backup(filePath);
+            fs.writeFileSync(filePath, content);
+
+            // Handle JSON patches, XML patches and injections
+            const patchTarget = getPatchTarget(filePath);
+            if (patchTarget) {
+                if (fs.existsSync(patchTarget)) {
+                    log(`Patching ${patchTarget}...`);
+                    transaction.backup(filePath, { internal: true });
+                    transaction.backup(patchTarget, { patch: true });
+                    patchFile(patchTarget, filePath);
+                    fs.unlinkSync(filePath);
+                    mixer.emit('patch', { gist: gistAlias, path: patchTarget, source: file.originalName });
+                    writtenFiles.push({
+                        path: toManifestPath(patchTarget),
+                        source: file.originalName,
+                        hash: hashContent(fs.readFileSync(patchTarget)),
+                        patched: true
+                    });
+                    continue;
+                }
+                if (filePath.endsWith('.inject')) {
+                    throw new Error(`Failed to patch '${patchTarget}': File to inject into not found`);
+                }
+            }
+
+            mixer.emit('fileWrite', { gist: gistAlias, path: filePath, action: existed ? 'overwritten' : 'created' });
+            writtenFiles.push({
+                path: toManifestPath(filePath),
+                source: file.originalName,
+                hash: hashContent(content)
+            });
+        }
+
+        transaction.ensureDir(path.dirname(getManifestPath()));
+        transaction.backup(getManifestPath(), { internal: true });
+        recordManifestEntry({
+            alias: gistAlias,
+            url: gistLinkUrl,
+            gistId,
+            revision,
+            to,
+            projectName: projName,
+            replaceTokens,
+            ...(Object.keys(vars).length > 0 ? { vars } : {}),
+            appliedAt: new Date().toISOString(),
+            files: writtenFiles
+        });
+    }
+
+    /**
+     * List conflicting files and ask which gist's version should be used, the other versions are skipped
+     */
+    async function resolveWriteConflicts(gists, conflicts) {
+        const gistLabel = gist => gist.gistAlias && !gist.gistAlias.includes('://') && !isLocalSource(gist.gistAlias)
+            ? `'${gist.gistAlias}' ${decodeURIComponent(gist.gistLinkUrl)}`
+            : decodeURIComponent(gist.gistLinkUrl);
+
+        let message = '\nMultiple add-ins write different content to the same file:\n';
+        for (const conflict of conflicts) {
+            message += `\n  ${conflict.path}\n`;
+            conflict.gists.forEach((index, i) => {
+                message += `    ${i + 1}. ${gistLabel(gists[index])}\n`;
+            });
+        }
+
+        if (dryRun) {
+            log(message);
+            return;
+        }
+        if (forceApproval) {
+            throw new Error(`${message.trim()}\n\nRun without -y to choose which add-in's version to use`);
+        }
+        if (!(options.prompt || input.isTTY) || silent) {
+            throw new Error(`${message.trim()}\n\nConflicting writes can't be resolved without a terminal, `
+                + 're-run interactively to choose which add-in\'s version to use or apply the add-ins separately');
+        }
+
+        log(message);
+        for (const conflict of conflicts) {
+            const choice = await prompt.choose(`Which version of ${conflict.path} should be used? (1-${conflict.gists.length}):`, conflict.gists.length);
+            if (!choice) {
+                throw new Error(`No version of ${conflict.path} was chosen, re-run to choose which add-in's version to use`);
+            }
+
+            const winner = gists[conflict.gists[choice - 1]];
+            for (const index of conflict.gists) {
+                const gist = gists[index];
+                if (gist === winner) continue;
+                const file = gist.resolvedFiles.find(f => f.path.replace(/\|base64$/, '') === conflict.path);
+                gist.resolvedFiles = gist.resolvedFiles.filter(f => f !== file);
+                gist.skippedFiles.push({ path: conflict.path, reason: `conflict, using '${winner.gistAlias}'` });
+            }
+        }
+    }
+
+    /**
+     * Apply gists
+     */
+    async function applyGists(tool, gistAliases, projName = null) {
+        projName = projName || path.basename(cwd);
+
+        // Registry is only needed for named or numbered aliases
+        let links = null;
+        const getLinks = async () => links || (links = await getGistApplyLinks());
+
+        // Resolve numeric aliases
+        const resolvedAliases = [];
+        for (const alias of gistAliases) {
+            const num = parseInt(alias, 10);
+            if (String(num) === alias && num > 0) {
+                const allLinks = await getLinks();
+                if (num <= allLinks.length) {
+                    resolvedAliases.push(allLinks[num - 1].name);
+                    continue;
+                }
+            }
+            resolvedAliases.push(alias);
+        }
+
+        // Find registry gists so their dependencies can be resolved
+        const planAliases = [];
+        for (const gistAlias of resolvedAliases) {
+            const isSource = isLocalSource(gistAlias) || isGistId(gistAlias)
+                || gistAlias.startsWith('https://') || gistAlias.startsWith('http://');
+            if (isSource) {
+                planAliases.push(gistAlias);
+                continue;
+            }
+
+            const allLinks = await getLinks();
+            const gistLink = findGistLink(allLinks, gistAlias);
+            if (!gistLink) {
+                if (outputFormat) throw new Error(`No match found for '${gistAlias}'`);
+                log(`No match found for '${gistAlias}', available gists:`);
+                printGistLinks(tool, allLinks);
+                return false;
+            }
+            planAliases.push({ alias: gistAlias, link: gistLink });
+        }
+
+        const appliedAliases = readManifest().gists.map(g => g.alias);
+        const { plan, skipped } = resolveGistPlan(links || [], planAliases, appliedAliases);
+
+        if ((!silent || dryRun) && (skipped.length > 0 || plan.some(p => p.dependencyOf))) {
+            log('');
+            log('Resolved add-ins:');
+            plan.forEach((item, i) => {
+                const reason = item.dependencyOf ? ` (required by '${item.dependencyOf}')` : '';
+                log(` ${String(i + 1).padStart(3, ' ')}. ${item.alias}${reason}`);
+            });
+            for (const item of skipped) {
+                log(`      ${item.alias} (required by '${item.dependencyOf}', already applied)`);
+            }
+        }
+
+        // Resolve every gist before writing anything so files written by more than one gist can be detected
+        const gists = [];
+        for (const { alias: gistAlias, link: gistLink } of plan) {
+            if (gistLink) {
+                gists.push(await resolveGistFiles(gistLink.gistId || gistLink.url, gistAlias, outDir || gistLink.to || '.', projName));
+            } else if (isGistId(gistAlias) && !isLocalSource(gistAlias)) {
+                gists.push(await resolveGistFiles(`https://gist.github.com/${gistAlias}`, gistAlias, outDir || '.', projName));
+            } else {
+                // Local directory, archive or URL
+                gists.push(await resolveGistFiles(gistAlias, gistAlias, outDir || '.', projName));
+            }
+        }
+
+        const conflicts = findWriteConflicts(gists);
+        if (conflicts.length > 0) {
+            await resolveWriteConflicts(gists, conflicts);
+        }
+
+        // Write every gist in a single transaction so a failure leaves the project as it was
+        const pending = new Map();
+        const journal = await runInTransaction(async (transaction) => {
+            // Approving the first add-in approves the rest
+            let approved = forceApproval;
+            for (const gist of gists) {
+                await writeResolvedGist(gist, pending, transaction, approved);
+                approved = true;
+            }
+
+            if (!silent && !dryRun) {
+                const { created, overwritten, patched } = transaction.summary();
+                const plural = gists.length !== 1 ? 's' : '';
+                log(`Applied ${gists.length} add-in${plural}: ${created} created, ${overwritten} overwritten, ${patched} patched`);
+            }
+            return transaction.journal();
+        });
+
+        if (!dryRun) {
+            saveHistoryEntry(journal, gists.map(g => g.gistAlias));
+        }
+        return true;
+    }
+
+    /**
+     * Delete gist files
+     */
+    async function deleteGists(tool, gistAliases, projName) {
+        projName = projName || path.basename(cwd);
+        const manifest = readManifest();
+
+        // Registry is only needed for numbered aliases or gists applied without a manifest record
+        let links = null;
+        const getLinks = async () => links || (links = await getGistApplyLinks());
+
+        // Resolve numeric aliases
+        const resolvedAliases = [];
+        for (const alias of gistAliases) {
+            const num = parseInt(alias, 10);
+            if (String(num) === alias && num > 0) {
+                const allLinks = await getLinks();
+                if (num <= allLinks.length) {
+                    resolvedAliases.push(allLinks[num - 1].name);
+                    continue;
+                }
+            }
+            resolvedAliases.push(alias);
+        }
+
+        const allResolvedFiles = [];
+        const deletedEntries = [];
+        let message = '';
+
+        for (const gistAlias of resolvedAliases) {
+            const resolvedFiles = [];
+            const skippedFiles = [];
+            let gistLinkUrl;
+
+            const entry = findManifestEntry(manifest, gistAlias);
+            if (entry) {
+                // Use the record of what was written, patched files are left as-is
+                gistLinkUrl = entry.url;
+                deletedEntries.push(entry);
+                for (const file of entry.files) {
+                    const resolvedFile = fromManifestPath(file.path);
+                    if (file.patched) {
+                        if (verbose) log(`Skipping patched file: ${resolvedFile}`);
+                        skippedFiles.push({ path: resolvedFile, reason: 'patched' });
+                        continue;
+                    }
+                    if (!fs.existsSync(resolvedFile)) {
+                        if (verbose) log(`Skipping deleting non-existent file: ${resolvedFile}`);
+                        continue;
+                    }
+                    if (verbose && hashContent(fs.readFileSync(resolvedFile)) !== file.hash) {
+                        log(`Note: ${resolvedFile} was modified after it was written`);
+                    }
+                    resolvedFiles.push(resolvedFile);
+                }
+            } else {
+                let to = '.';
+                let gistFiles;
+
+                if (isLocalSource(gistAlias) || isGistId(gistAlias)) {
+                    const result = await getGistFiles(gistAlias);
+                    gistFiles = result.files;
+                    gistLinkUrl = result.url;
+                } else if (gistAlias.startsWith('https://') || gistAlias.startsWith('http://')) {
+                    const result = await getGistFiles(gistAlias);
+                    gistFiles = result.files;
+                    gistLinkUrl = result.url;
+                } else {
+                    const allLinks = await getLinks();
+                    const gistLink = findGistLink(allLinks, gistAlias);
+                    if (!gistLink) {
+                        if (outputFormat) throw new Error(`No match found for '${gistAlias}'`);
+                        log(`No match found for '${gistAlias}', available gists:`);
+                        printGistLinks(tool, allLinks);
+                        return false;
+                    }
+
+                    gistLinkUrl = gistLink.url;
+                    to = gistLink.to || '.';
+                    const result = await getGistFiles(gistLink.gistId || gistLink.url);
+                    gistFiles = result.files;
+                }
+
+                const alias = gistAlias ? `'${gistAlias}' ` : '';
+                const exSuffix = ` required by ${alias}${gistLinkUrl}`;
+                const basePath = resolveBasePath(to, exSuffix);
+
+                for (const gistFile of Object.keys(gistFiles)) {
+                    const resolvedFile = resolveFilePath(gistFile, basePath, projName, to);
+                    if (!fs.existsSync(resolvedFile)) {
+                        if (verbose) log(`Skipping deleting non-existent file: ${resolvedFile}`);
+                        continue;
+                    }
+                    resolvedFiles.push(resolvedFile);
+                }
+            }
+
+            allResolvedFiles.push(...resolvedFiles);
+            if (report) {
+                report.gists.push({
+                    alias: gistAlias,
+                    url: gistLinkUrl,
+                    files: [
+                        ...resolvedFiles.map(file => ({ path: toManifestPath(file), action: 'deleted' })),
+                        ...skippedFiles.map(file => ({ path: toManifestPath(file.path), action: 'skipped', reason: file.reason }))
+                    ]
+                });
+            }
+
+            if (resolvedFiles.length > 0) {
+                const label = gistAlias ? `'${gistAlias}' ` : '';
+                const plural = resolvedFiles.length !== 1 ? 's' : '';
+                message += `\nDelete ${resolvedFiles.length} file${plural} from ${label}${gistLinkUrl}:\n\n`;
+                for (const file of resolvedFiles) {
+                    message += `${file}\n`;
+                }
+            }
+        }
+
+        if (allResolvedFiles.length === 0) {
+            removeManifestEntries(deletedEntries);
+            log(`Did not find any existing files from '${gistAliases.join(',')}' to delete`);
+            return false;
+        }
+
+        if (dryRun) {
+            log(message.replace(/\nDelete /g, '\nWould delete '));
+            return true;
+        }
+
+        if (!silent) {
+            if (!forceApproval) {
+                const approved = await promptYesNo(message);
+                if (!approved) {
+                    throw new Error('Operation cancelled by user.');
+                }
+            } else {
+                log(message);
+            }
+
+            log('');
+            log(`Deleting ${allResolvedFiles.length} files...`);
+        }
+
+        const folders = new Set();
+        for (const file of allResolvedFiles) {
+            if (verbose) log(`RM: ${file}`);
+            try {
+                fs.unlinkSync(file);
+                folders.add(path.dirname(file));
+            } catch (e) {
+                if (verbose) log(`ERROR: ${e.message}`);
+                if (report) {
+                    const reportFile = report.gists.flatMap(g => g.files).find(f => f.path === toManifestPath(file));
+                    Object.assign(reportFile, { action: 'skipped', reason: e.message });
+                    report.errors.push(`Could not delete ${reportFile.path}: ${e.message}`);
+                }
+            }
+        }
+
+        // Delete empty folders
+        const sortedFolders = [...folders].sort((a, b) => b.length - a.length);
+        for (const folder of sortedFolders) {
+            try {
+                const entries = fs.readdirSync(folder);
+                if (entries.length === 0) {
+                    if (verbose) log(`RMDIR: ${folder}`);
+                    fs.rmSync(folder, { recursive: false });
+                }
+            } catch (e) {
+                // Ignore errors
+            }
+        }
+
+        removeManifestEntries(deletedEntries);
+
+        if (!silent) {
+            log('Done.');
+        }
+
+        return true;
+    }
+
+    /**
+     * Resolve gist files to the paths they're written to, keyed by path
+     */
+    function resolveUpdateFiles(files, basePath, projName, to, exSuffix, vars) {
+        const resolved = new Map();
+        const conditions = parseFileConditions(files._conditions, exSuffix.replace(' required by ', ''));
+        for (const [gistFileName, content] of Object.entries(files)) {
+            const fileName = replaceVars(gistFileName, vars);
+            if (fileName.includes('..')) {
+                throw new Error(`Invalid file name '${fileName}'${exSuffix}`);
+            }
+            if (fileName === '_init' || fileName === '_vars' || fileName === '_conditions') continue;
+            if (checkFileConditions(conditions, gistFileName, basePath, projName, vars)) continue;
+
+            let filePath = resolveFilePath(fileName, basePath, projName, to);
+            let fileContent = Buffer.isBuffer(content) ? content : replaceVars(replaceMyApp(content, projName, gistFileName), vars);
+            if (filePath.endsWith('|base64')) {
+                filePath = filePath.slice(0, -7);
+                if (!Buffer.isBuffer(fileContent)) fileContent = Buffer.from(fileContent, 'base64');
+            }
+            resolved.set(filePath, { fileName, content: fileContent });
+        }
+        return resolved;
+    }
+
+    /**
+     * Work out how to update a single file from the base revision, the current local file and the latest revision
+     */
+    function planFileUpdate(filePath, base, latest, entry, theirsLabel) {
+        const fileName = (latest || base).fileName;
+
+        const patchTarget = getPatchTarget(filePath);
+        if (patchTarget) {
+            // Patches are re-applied to their target when they change upstream
+            if (!latest || !fs.existsSync(patchTarget) || (base && sameContent(base.content, latest.content))) {
+                return { path: patchTarget, status: 'unchanged', patch: true };
+            }
+            const before = fs.readFileSync(patchTarget, 'utf8');
+            const after = patchContent(filePath, before, latest.content);
+            return { path: patchTarget, status: before === after ? 'unchanged' : 'patched', before, content: after, patch: true };
+        }
+
+        const local = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+        const binary = (latest && Buffer.isBuffer(latest.content)) || (base && Buffer.isBuffer(base.content))
+            || (local !== null && isBinaryContent(local));
+        const localContent = local === null || binary ? local : local.toString('utf8');
+
+        if (!latest) {
+            if (local === null) return null;
+            if (base && sameContent(localContent, base.content)) {
+                return { path: filePath, status: 'deleted', before: localContent, remove: true, binary };
+            }
+            return { path: filePath, status: 'kept', reason: 'removed upstream, modified locally' };
+        }
+
+        if (local === null) {
+            if (base) return { path: filePath, status: 'skipped', reason: 'deleted locally' };
+            return { path: filePath, status: 'new', before: null, content: latest.content, binary };
+        }
+
+        if (fileName.endsWith('?')) {
+            return { path: filePath, status: 'skipped', reason: 'optional' };
+        }
+        if (sameContent(localContent, latest.content)) {
+            return { path: filePath, status: 'unchanged' };
+        }
+
+        // Without the original revision, only files that weren't modified locally can be updated safely
+        let unmodified;
+        if (base) {
+            unmodified = sameContent(localContent, base.content);
+        } else {
+            const recorded = entry.files.find(f => fromManifestPath(f.path) === filePath);
+            unmodified = !!recorded && recorded.hash === hashContent(local);
+        }
+        if (unmodified) {
+            return { path: filePath, status: 'updated', before: localContent, content: latest.content, binary };
+        }
+
+        if (binary) {
+            return { path: filePath, status: 'conflict', reason: 'binary file modified locally, kept local version', conflicts: 1 };
+        }
+
+        // There's nothing to merge local changes with, so ask before replacing them with the latest version
+        if (!base) {
+            return { path: filePath, status: 'modified', reason: 'modified locally, no revision to merge with', before: localContent, content: latest.content, confirm: true };
+        }
+
+        const merged = merge3(localContent, base.content, latest.content, 'local', theirsLabel);
+        if (merged.text === localContent) {
+            return { path: filePath, status: 'unchanged' };
+        }
+        return {
+            path: filePath,
+            status: merged.conflicts > 0 ? 'conflict' : 'merged',
+            reason: merged.conflicts > 0 ? `${merged.conflicts} conflict${merged.conflicts !== 1 ? 's' : ''}` : null,
+            before: localContent,
+            content: merged.text,
+            conflicts: merged.conflicts
+        };
     }
 
-    const targetJson = JSON.parse(fs.readFileSync(targetFile, 'utf8'));
-    const patchJson = JSON.parse(fs.readFileSync(patchFile, 'utf8'));
-
-    // Simple JSON patch implementation
-    for (const op of patchJson) {
-        const pathParts = op.path.split('/').filter(p => p);
-        let target = targetJson;
-
-        // Navigate to parent
-        for (let i = 0; i < pathParts.length - 1; i++) {
-            const key = pathParts[i];
-            if (!(key in target)) {
-                target[key] = {};
+    /**
+     * Update previously applied gists to their latest revision, merging in local changes
+     */
+    async function updateGists(tool, gistAliases) {
+        const manifest = readManifest();
+        if (gistAliases.length === 0) {
+            gistAliases = manifest.gists.map(g => g.alias);
+            if (gistAliases.length === 0) {
+                log(`No add-ins have been applied to this project, see: ${tool} ?`);
+                return false;
             }
-            target = target[key];
         }
 
-        const lastKey = pathParts[pathParts.length - 1];
+        // Always check for the latest revision
+        if (!offline) cacheTtl = 0;
 
-        switch (op.op) {
-            case 'add':
-            case 'replace':
-                target[lastKey] = op.value;
-                break;
-            case 'remove':
-                delete target[lastKey];
-                break;
-        }
-    }
+        const cliReplaceTokens = replaceTokens;
+        const conflicted = [];
+        const updatedAliases = [];
+        let approved = forceApproval;
 
-    fs.writeFileSync(targetFile, JSON.stringify(targetJson, null, 2));
-}
+        // Update every gist in a single transaction that's journaled like an apply, so it can be rolled back or undone
+        try {
+            const journal = await runInTransaction(async (transaction) => {
+                for (const alias of gistAliases) {
+                    const [name, pinnedBase] = alias.split('@');
+                    let entry = findManifestEntry(manifest, name);
+                    if (!entry && pinnedBase) {
+                        entry = await createUpdateEntry(name, pinnedBase);
+                    } else if (!entry) {
+                        throw new Error(`No record of '${name}' in ${getManifestPath()}, specify the revision it was applied from with: ${tool} update ${name}@<revision>`);
+                    }
+                    if (pinnedBase) {
+                        entry = { ...entry, revision: pinnedBase };
+                    }
 
-/**
- * Write gist files to disk
- */
-async function writeGistFile(gistIdOrUrl, gistAlias, to, projName) {
-    projName = sanitizeProjectName(projName);
+                    replaceTokens = cliReplaceTokens.length > 0 ? cliReplaceTokens : (entry.replaceTokens || []);
+                    const projName = entry.projectName || sanitizeProjectName(projectName || path.basename(cwd));
+                    const to = entry.to || '.';
 
-    const { files, url: gistLinkUrl } = await getGistFiles(gistIdOrUrl);
+                    const latest = await getGistFiles(entry.gistId || entry.url);
+                    const baseSource = getBaseSource(entry, latest);
+                    if (!baseSource && verbose) {
+                        log(`No revision recorded for '${entry.alias}', files modified locally can't be merged`);
+                    }
+                    const base = baseSource ? await getGistFiles(baseSource) : null;
+
+                    const exSuffix = ` required by '${entry.alias}' ${entry.url}`;
+                    const basePath = resolveBasePath(to, exSuffix);
+                    // Use the variable values the gist was applied with, prompting for any new ones
+                    const vars = { ...entry.vars, ...await resolveGistVars(latest.files._vars, `'${entry.alias}'`, entry.vars || {}) };
+                    const baseFiles = base ? resolveUpdateFiles(base.files, basePath, projName, to, exSuffix, vars) : new Map();
+                    const latestFiles = resolveUpdateFiles(latest.files, basePath, projName, to, exSuffix, vars);
+
+                    const shortRev = rev => rev ? rev.substring(0, 7) : 'unknown';
+                    const theirsLabel = `${entry.alias}@${shortRev(latest.revision)}`;
+                    const plans = [];
+                    for (const filePath of new Set([...baseFiles.keys(), ...latestFiles.keys()])) {
+                        const plan = planFileUpdate(filePath, base ? baseFiles.get(filePath) : null, latestFiles.get(filePath), entry, theirsLabel);
+                        if (plan) plans.push(plan);
+                    }
 
-    const resolvedFiles = [];
-    let initFile = null;
+                    // Show how local files differ from the latest version before asking to replace them
+                    for (const plan of plans.filter(p => p.confirm)) {
+                        delete plan.confirm;
+                        if (dryRun) continue;
+                        if (!silent) {
+                            log(`\n${toManifestPath(plan.path)} was modified locally and can't be merged without the revision '${entry.alias}' was applied from`);
+                            printPreviewDiffs([{ ...plan, after: plan.content }]);
+                        }
+                        if (await promptYesNo(`Replace it with ${theirsLabel}?`)) {
+                            Object.assign(plan, { status: 'updated', reason: 'replaced local changes' });
+                        } else {
+                            Object.assign(plan, { status: 'kept', reason: 'modified locally' });
+                            delete plan.content;
+                        }
+                    }
 
-    for (const [fileName, content] of Object.entries(files)) {
-        if (fileName.includes('..')) {
-            throw new Error(`Invalid file name '${fileName}' from '${gistLinkUrl}'`);
-        }
+                    const changes = plans.filter(p => p.content !== undefined || p.remove);
+                    if (changes.length === 0 && entry.revision === latest.revision) {
+                        log(`'${entry.alias}' is already up to date`);
+                        continue;
+                    }
 
-        const alias = gistAlias ? `'${gistAlias}' ` : '';
-        const exSuffix = ` required by ${alias}${gistLinkUrl}`;
-        const basePath = resolveBasePath(to, exSuffix);
+                    if (!silent || dryRun) {
+                        const padStatus = 10;
+                        let message = `\nUpdate '${entry.alias}' from ${shortRev(entry.revision)} to ${shortRev(latest.revision)}:\n\n`;
+                        for (const plan of plans) {
+                            const note = plan.reason ? ` (${plan.reason})` : '';
+                            message += `  ${plan.status.padEnd(padStatus, ' ')} ${plan.path}${note}\n`;
+                        }
+
+                        if (showDiff) {
+                            printPreviewDiffs(changes.map(p => ({ ...p, after: p.remove ? '' : p.content })));
+                        }
+
+                        if (dryRun) {
+                            log(message.replace('\nUpdate ', '\nWould update '));
+                            continue;
+                        } else if (!approved) {
+                            const approved = await promptYesNo(message);
+                            if (!approved) {
+                                throw new Error('Operation cancelled by user.');
+                            }
+                        } else {
+                            log(message.replace('\nUpdate ', '\nUpdating '));
+                        }
+                    } else if (dryRun) {
+                        continue;
+                    }
 
-        if (fileName === '_init') {
-            initFile = { name: fileName, content };
-            continue;
-        }
+                    for (const plan of changes) {
+                        transaction.backup(plan.path, { patch: !!plan.patch });
+                        if (plan.remove) {
+                            if (verbose) log(`RM: ${plan.path}`);
+                            fs.unlinkSync(plan.path);
+                            continue;
+                        }
+                        if (verbose) log(`Writing ${plan.path}...`);
+                        const existed = fs.existsSync(plan.path);
+                        transaction.ensureDir(path.dirname(plan.path));
+                        fs.writeFileSync(plan.path, plan.content);
+                        mixer.emit('fileWrite', { gist: entry.alias, path: plan.path, action: existed ? 'overwritten' : 'created' });
+                    }
+                    conflicted.push(...plans.filter(p => p.status === 'conflict'));
+                    updatedAliases.push(entry.alias);
+
+                    // Record the new revision along with the hashes of the files now on disk
+                    const files = [];
+                    for (const [filePath, file] of latestFiles) {
+                        const patched = getPatchTarget(filePath) !== null;
+                        const writtenPath = patched ? getPatchTarget(filePath) : filePath;
+                        if (!fs.existsSync(writtenPath)) continue;
+                        files.push({
+                            path: toManifestPath(writtenPath),
+                            source: file.fileName,
+                            hash: hashContent(fs.readFileSync(writtenPath)),
+                            ...(patched ? { patched: true } : {})
+                        });
+                    }
+                    transaction.ensureDir(path.dirname(getManifestPath()));
+                    transaction.backup(getManifestPath(), { internal: true });
+                    recordManifestEntry({
+                        ...entry,
+                        revision: latest.revision,
+                        projectName: projName,
+                        replaceTokens,
+                        ...(Object.keys(vars).length > 0 ? { vars } : {}),
+                        appliedAt: new Date().toISOString(),
+                        files
+                    });
+                    approved = true;
+                }
 
-        const resolvedFile = resolveFilePath(fileName, basePath, projName, to);
-        const noOverride = preserve || fileName.endsWith('?');
-        if (noOverride && fs.existsSync(resolvedFile)) {
-            if (verbose) console.log(`Skipping existing optional file: ${resolvedFile}`);
-            continue;
+                return transaction.journal();
+            });
+            if (updatedAliases.length > 0 && !dryRun) {
+                saveHistoryEntry(journal, updatedAliases);
+            }
+        } finally {
+            replaceTokens = cliReplaceTokens;
         }
 
-        resolvedFiles.push({
-            path: resolvedFile,
-            content: replaceMyApp(content, projName),
-            originalName: fileName
-        });
-    }
-
-    // Display files and prompt for approval
-    const label = gistAlias && !gistAlias.includes('://') ? `'${gistAlias}' ` : '';
+        if (conflicted.length > 0) {
+            log('');
+            log(`${conflicted.length} file${conflicted.length !== 1 ? 's have' : ' has'} conflicts, resolve the conflict markers in:`);
+            for (const plan of conflicted) {
+                log(`  ${plan.path}`);
+            }
+            return false;
+        }
 
-    if (!silent) {
-        let message = `\nWrite files from ${label}${decodeURIComponent(gistLinkUrl)} to:\n\n`;
-        for (const file of resolvedFiles) {
-            message += `  ${file.path}\n`;
+        if (updatedAliases.length > 0 && !silent && !dryRun) {
+            log('Done.');
         }
+        return true;
+    }
 
-        if (!forceApproval) {
-            const approved = await promptYesNo(message);
-            if (!approved) {
-                throw new Error('Operation cancelled by user.');
+    /**
+     * Create an update record for a gist that was applied without a manifest, from the revision it was applied from
+     */
+    async function createUpdateEntry(alias, revision) {
+        let gistId = null;
+        let url = alias;
+        let to = outDir || '.';
+
+        if (isGistId(alias)) {
+            gistId = alias;
+            url = `https://gist.github.com/${alias}`;
+        } else if (!alias.includes('://') && !isLocalSource(alias)) {
+            const gistLink = findGistLink(await getGistApplyLinks(), alias);
+            if (!gistLink) {
+                throw new Error(`No match found for '${alias}'`);
             }
-        } else {
-            console.log(message.replace('Write files from', 'Writing files from'));
+            gistId = gistLink.gistId;
+            url = gistLink.url;
+            to = outDir || gistLink.to || '.';
+        } else if (alias.startsWith('https://gist.github.com/')) {
+            gistId = alias.split('/').pop();
         }
+
+        return {
+            alias,
+            url,
+            gistId,
+            revision,
+            to,
+            projectName: sanitizeProjectName(projectName || path.basename(cwd)),
+            replaceTokens,
+            files: []
+        };
     }
 
-    // Execute _init file commands
-    if (initFile) {
-        const hostDir = resolveBasePath(to, ` required by ${gistLinkUrl}`);
-        const lines = initFile.content.split('\n');
+    /**
+     * Get the directory where the journal of each apply is kept
+     */
+    function getHistoryDir() {
+        return path.join(cwd, MANIFEST_DIR, HISTORY_DIR);
+    }
 
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (trimmed.startsWith('#')) continue;
+    /**
+     * Save the journal of a committed transaction so the apply can be undone. The apply has already succeeded,
+     * so failing to save it is only a warning
+     */
+    function saveHistoryEntry(journal, aliases) {
+        try {
+            return writeHistoryEntry(journal, aliases);
+        } catch (e) {
+            log(`Warning: could not save undo history: ${e.message}`);
+            return null;
+        }
+    }
 
-            const cmd = trimmed;
-            
-            // Only allow specific commands
-            const allowedPrefixes = ['npm ', 'yarn ', 'pnpm ', 'nuget ', 'dotnet ', 'flutter ', 'dart ', 'kamal '];
-            const isAllowed = allowedPrefixes.some(p => cmd.startsWith(p));
-            
-            if (!isAllowed) {
-                if (verbose) console.log(`Command '${cmd}' not supported`);
-                continue;
-            }
+    /**
+     * Save the original contents of every file changed in a transaction's journal so the apply can be undone
+     */
+    function writeHistoryEntry({ files: backups, dirs }, aliases) {
+        // Files backed up in case they're created, e.g. lock files by _init commands, aren't changes if they weren't
+        const files = backups.filter(file => file.content !== null || fs.existsSync(file.path));
+        if (files.length === 0) return null;
+
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        let id = stamp;
+        for (let i = 2; fs.existsSync(path.join(getHistoryDir(), id)); i++) {
+            id = `${stamp}-${i}`;
+        }
+        const entryDir = path.join(getHistoryDir(), id);
+        fs.mkdirSync(path.join(entryDir, 'files'), { recursive: true });
+
+        const journal = {
+            id,
+            createdAt: new Date().toISOString(),
+            gists: aliases,
+            files: files.map((file, i) => {
+                let preImage = null;
+                if (file.content !== null) {
+                    preImage = `files/${i}`;
+                    fs.writeFileSync(path.join(entryDir, preImage), file.content);
+                }
+                return {
+                    path: toManifestPath(file.path),
+                    preImage,
+                    hash: fs.existsSync(file.path) ? hashContent(fs.readFileSync(file.path)) : null,
+                    internal: file.internal || false
+                };
+            }),
+            dirs: dirs.map(toManifestPath)
+        };
+        fs.writeFileSync(path.join(entryDir, 'journal.json'), JSON.stringify(journal, null, 2) + '\n');
+        return journal;
+    }
 
-            // Additional restrictions
-            if (cmd.startsWith('nuget') && !['nuget add', 'nuget restore', 'nuget update'].some(c => cmd.startsWith(c))) {
-                if (verbose) console.log(`Command '${cmd}' not allowed`);
-                continue;
-            }
-            if (cmd.startsWith('dotnet') && !['dotnet add ', 'dotnet restore'].some(c => cmd.startsWith(c)) && cmd !== 'dotnet restore') {
-                if (verbose) console.log(`Command '${cmd}' not allowed`);
-                continue;
-            }
-            if (cmd.startsWith('flutter') && !cmd.startsWith('flutter create ')) {
-                if (verbose) console.log(`Command '${cmd}' not allowed`);
-                continue;
-            }
-            if (cmd.startsWith('dart') && !['dart pub add', 'dart pub get'].some(c => cmd.startsWith(c))) {
-                if (verbose) console.log(`Command '${cmd}' not allowed`);
-                continue;
-            }
-            if (cmd.startsWith('kamal') && !cmd.startsWith('kamal init')) {
-                if (verbose) console.log(`Command '${cmd}' not allowed`);
-                continue;
-            }
+    /**
+     * Print the journals of previous applies
+     */
+    function printHistoryEntries(tool, entries) {
+        if (entries.length === 0) {
+            log('No add-ins have been applied that can be undone');
+            return;
+        }
 
-            // Check for illegal characters
-            if (/["'&;$@|>]/.test(cmd)) {
-                console.log(`Command contains illegal characters, ignoring: '${cmd}'`);
-                continue;
-            }
+        log('');
+        const padId = Math.max(...entries.map(e => e.id.length)) + 1;
+        entries.forEach((entry, i) => {
+            const date = entry.createdAt.replace('T', ' ').replace(/\.\d+Z$/, '');
+            const fileCount = entry.files.filter(f => !f.internal).length;
+            log(` ${String(i + 1).padStart(3, ' ')}. ${entry.id.padEnd(padId, ' ')} ${date}  ${entry.gists.join(', ')} (${fileCount} file${fileCount !== 1 ? 's' : ''})`);
+        });
+        log('');
+        log(`   Usage: ${tool} undo <id>`);
+    }
 
-            // Execute command using spawn with argument array for better security
-            console.log(cmd);
-            const cmdParts = cmd.split(' ');
-            const executable = cmdParts[0];
-            const rawArgs = cmdParts.slice(1);
-            const cmdArgs = rawArgs.map(arg => replaceMyApp(arg, projName.replace(/\./g, '_')));
-            
+    /**
+     * Read the journals of previous applies, most recent first
+     */
+    function readHistoryEntries() {
+        const historyDir = getHistoryDir();
+        if (!fs.existsSync(historyDir)) return [];
+
+        const entries = [];
+        for (const id of fs.readdirSync(historyDir)) {
+            const journalPath = path.join(historyDir, id, 'journal.json');
+            if (!fs.existsSync(journalPath)) continue;
             try {
-                const result = require('child_process').spawnSync(executable, cmdArgs, { 
-                    cwd: hostDir, 
-                    stdio: 'inherit',
-                    shell: false
-                });
-                if (result.error) {
-                    throw result.error;
-                }
+                entries.push(JSON.parse(fs.readFileSync(journalPath, 'utf8')));
             } catch (e) {
-                console.log(`Failed to execute: ${cmd}`);
-                if (verbose) console.log(e.message);
+                if (verbose) log(`Ignoring invalid journal ${journalPath}: ${e.message}`);
             }
         }
+        return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
     }
 
-    // Write files
-    for (const file of resolvedFiles) {
-        if (file.originalName === '_init') continue;
-        
-        if (verbose) console.log(`Writing ${file.path}...`);
-        
-        const dir = path.dirname(file.path);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
+    /**
+     * Restore the project to how it was before an apply, defaults to the most recent one
+     */
+    async function undoGists(tool, args, list) {
+        const entries = readHistoryEntries();
+        if (list) {
+            printHistoryEntries(tool, entries);
+            return false;
         }
-
-        let filePath = file.path;
-        let content = file.content;
-
-        // Handle base64 encoded files
-        if (filePath.endsWith('|base64')) {
-            filePath = filePath.slice(0, -7);
-            const buffer = Buffer.from(content, 'base64');
-            fs.writeFileSync(filePath, buffer);
-        } else {
-            fs.writeFileSync(filePath, content);
+        if (entries.length === 0) {
+            log('No add-ins have been applied that can be undone');
+            return false;
         }
 
-        // Handle JSON patches
-        if (filePath.endsWith('.json.patch')) {
-            const patchTarget = filePath.slice(0, -6); // Remove .patch
-            if (fs.existsSync(patchTarget)) {
-                console.log(`Patching ${patchTarget}...`);
-                await patchJsonFile(patchTarget, filePath);
-                fs.unlinkSync(filePath);
-            }
+        const id = args[0];
+        const entry = id ? entries.find(e => e.id === id) : entries[0];
+        if (!entry) {
+            throw new Error(`No apply with id '${id}' found, see: ${tool} undo --list`);
         }
-    }
-}
-
-/**
- * Apply gists
- */
-async function applyGists(tool, gistAliases, projName = null) {
-    projName = projName || path.basename(process.cwd());
 
-    const links = await getGistApplyLinks();
+        const entryDir = path.join(getHistoryDir(), entry.id);
+        const currentHash = filePath => fs.existsSync(filePath) ? hashContent(fs.readFileSync(filePath)) : null;
 
-    // Resolve numeric aliases
-    const resolvedAliases = gistAliases.map(alias => {
-        const num = parseInt(alias, 10);
-        if (!isNaN(num) && num > 0 && num <= links.length) {
-            return links[num - 1].name;
+        let message = `\nUndo ${entry.id} (${entry.gists.join(', ')}):\n\n`;
+        const modified = [];
+        for (const file of entry.files) {
+            const filePath = fromManifestPath(file.path);
+            if (currentHash(filePath) !== file.hash) modified.push(filePath);
+            if (file.internal) continue;
+            message += `  ${(file.preImage ? 'restore' : 'remove').padEnd(8, ' ')} ${filePath}\n`;
+        }
+        if (modified.length > 0) {
+            message += '\nThese files have changed since, their changes will be lost:\n\n';
+            for (const filePath of modified) {
+                message += `  ${filePath}\n`;
+            }
         }
-        return alias;
-    });
 
-    for (const gistAlias of resolvedAliases) {
-        // Check if it's a gist ID
-        if (isGistId(gistAlias)) {
-            await writeGistFile(`https://gist.github.com/${gistAlias}`, gistAlias, outDir || '.', projName);
-            forceApproval = true;
-            continue;
+        if (dryRun) {
+            log(message.replace('\nUndo ', '\nWould undo '));
+            return true;
+        }
+        if (!silent) {
+            if (!forceApproval) {
+                const approved = await promptYesNo(message);
+                if (!approved) {
+                    throw new Error('Operation cancelled by user.');
+                }
+            } else {
+                log(message);
+            }
         }
 
-        // Check if it's a URL
-        if (gistAlias.startsWith('https://') || gistAlias.startsWith('http://')) {
-            await writeGistFile(gistAlias, gistAlias, outDir || '.', projName);
-            forceApproval = true;
-            continue;
+        await runInTransaction(async (transaction) => {
+            for (const file of entry.files) {
+                const filePath = fromManifestPath(file.path);
+                transaction.backup(filePath);
+                if (file.preImage) {
+                    if (verbose) log(`Restoring ${filePath}...`);
+                    transaction.ensureDir(path.dirname(filePath));
+                    fs.writeFileSync(filePath, fs.readFileSync(path.join(entryDir, file.preImage)));
+                } else if (fs.existsSync(filePath)) {
+                    if (verbose) log(`RM: ${filePath}`);
+                    fs.unlinkSync(filePath);
+                }
+            }
+        });
+
+        // Remove directories created by the apply if they're now empty
+        for (const dir of entry.dirs.map(fromManifestPath).sort((a, b) => b.length - a.length)) {
+            try {
+                if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+                    if (verbose) log(`RMDIR: ${dir}`);
+                    fs.rmdirSync(dir);
+                }
+            } catch (e) {
+                // Ignore errors
+            }
         }
 
-        // Find in registry
-        const gistLink = findGistLink(links, gistAlias);
-        if (!gistLink) {
-            console.log(`No match found for '${gistAlias}', available gists:`);
-            printGistLinks(tool, links);
-            return false;
+        fs.rmSync(entryDir, { recursive: true, force: true });
+        for (const dir of [getHistoryDir(), path.dirname(getHistoryDir())]) {
+            if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
         }
 
-        await writeGistFile(gistLink.gistId || gistLink.url, gistAlias, outDir || gistLink.to || '.', projName);
-        forceApproval = true;
+        if (!silent) {
+            log('Done.');
+        }
+        return true;
     }
 
-    return true;
-}
-
-/**
- * Delete gist files
- */
-async function deleteGists(tool, gistAliases, projName) {
-    projName = projName || path.basename(process.cwd());
-    const links = await getGistApplyLinks();
-
-    // Resolve numeric aliases
-    const resolvedAliases = gistAliases.map(alias => {
-        const num = parseInt(alias, 10);
-        if (!isNaN(num) && num > 0 && num <= links.length) {
-            return links[num - 1].name;
+    /**
+     * Choose gists from the registry in an interactive picker, then apply or delete them
+     */
+    async function pickAndApplyGists(tool, query, deleteMode) {
+        if (!input.isTTY || !output.isTTY) {
+            throw new Error(`Interactive mode requires a terminal, use: ${tool} <name> <name> ...`);
         }
-        return alias;
-    });
 
-    const allResolvedFiles = [];
-    let output = '';
-
-    for (const gistAlias of resolvedAliases) {
-        let to = '.';
-        let gistLinkUrl;
-        let gistFiles;
-
-        if (isGistId(gistAlias)) {
-            const result = await getGistFiles(gistAlias);
-            gistFiles = result.files;
-            gistLinkUrl = result.url;
-        } else if (gistAlias.startsWith('https://') || gistAlias.startsWith('http://')) {
-            const result = await getGistFiles(gistAlias);
-            gistFiles = result.files;
-            gistLinkUrl = result.url;
-        } else {
-            const gistLink = findGistLink(links, gistAlias);
-            if (!gistLink) {
-                console.log(`No match found for '${gistAlias}', available gists:`);
-                printGistLinks(tool, links);
-                return false;
+        const links = await getGistApplyLinks();
+        const gistAliases = await pickGists(links, {
+            query,
+            input,
+            output,
+            loadFiles: async (link) => {
+                const { files } = await getGistFiles(link.gistId || link.url);
+                return Object.keys(files).map(f => f.replace(/\\/g, '/'));
             }
-
-            gistLinkUrl = gistLink.url;
-            to = gistLink.to || '.';
-            const result = await getGistFiles(gistLink.gistId || gistLink.url);
-            gistFiles = result.files;
+        });
+        if (!gistAliases) {
+            log('No add-ins selected');
+            return false;
         }
 
-        const alias = gistAlias ? `'${gistAlias}' ` : '';
-        const exSuffix = ` required by ${alias}${gistLinkUrl}`;
-        const basePath = resolveBasePath(to, exSuffix);
+        return deleteMode
+            ? deleteGists(tool, gistAliases, projectName)
+            : applyGists(tool, gistAliases, projectName);
+    }
 
-        const resolvedFiles = [];
-        for (const gistFile of Object.keys(gistFiles)) {
-            const resolvedFile = resolveFilePath(gistFile, basePath, projName, to);
-            if (!fs.existsSync(resolvedFile)) {
-                if (verbose) console.log(`Skipping deleting non-existent file: ${resolvedFile}`);
-                continue;
+    /**
+     * Lint the mix.md of a registry, or of each registry when no source is given, and check every add-in
+     * it links to can be fetched. Prints each problem with its line number and throws if there were any
+     */
+    async function lintRegistries(source) {
+        const sources = source ? [source] : registries.map(r => r.source);
+        let total = 0;
+        for (const registrySource of sources) {
+            const { mixMd, baseDir } = await getRegistryMarkdown(registrySource);
+            const { entries, problems, warnings } = lintGistLinks(mixMd);
+
+            // Check each add-in can be fetched, from the cache instead with --offline
+            for (const { line, link, validUrl } of entries) {
+                if (!validUrl) continue;
+                const isRelative = /^\.{1,2}[\\/]/.test(link.url);
+                if (isRelative && !baseDir) {
+                    problems.push({ line, message: `Relative URL '${link.url}' of '${link.name}' can only be used in a local registry` });
+                    continue;
+                }
+                const url = isRelative ? path.resolve(baseDir, link.url) : link.url;
+                if (verbose) log(`Checking ${link.name}: ${url}`);
+                try {
+                    await getGistFiles(url);
+                } catch (e) {
+                    problems.push({ line, message: `Could not fetch '${link.name}': ${e.message}` });
+                }
             }
-            resolvedFiles.push(resolvedFile);
-            allResolvedFiles.push(resolvedFile);
-        }
 
-        if (resolvedFiles.length > 0) {
-            const label = gistAlias ? `'${gistAlias}' ` : '';
-            const plural = resolvedFiles.length !== 1 ? 's' : '';
-            output += `\nDelete ${resolvedFiles.length} file${plural} from ${label}${gistLinkUrl}:\n\n`;
-            for (const file of resolvedFiles) {
-                output += `${file}\n`;
+            log('');
+            if (problems.length === 0) {
+                log(`${registrySource}: ${entries.length} add-ins, no problems found`);
             }
+            [...problems, ...warnings.map(w => ({ ...w, message: `warning: ${w.message}` }))]
+                .sort((a, b) => a.line - b.line)
+                .forEach(problem => log(`${registrySource}:${problem.line}: ${problem.message}`));
+            total += problems.length;
         }
-    }
 
-    if (allResolvedFiles.length === 0) {
-        console.log(`Did not find any existing files from '${gistAliases.join(',')}' to delete`);
+        log('');
+        if (total > 0) {
+            throw new Error(`Found ${total} problem${total === 1 ? '' : 's'}`);
+        }
         return false;
     }
 
-    if (!silent) {
-        if (!forceApproval) {
-            const approved = await promptYesNo(output);
-            if (!approved) {
-                throw new Error('Operation cancelled by user.');
+    /**
+     * Search the registry and print the ranked results, numbered by their position in the full list
+     * so they can be applied by number. With `includeFiles` the file names in each gist are searched too
+     */
+    async function searchGists(tool, query, includeFiles) {
+        if (!query.trim()) {
+            throw new Error(`Missing search query, e.g: ${tool} search redis tag:db`);
+        }
+
+        const links = await getGistApplyLinks();
+
+        let files = null;
+        if (includeFiles) {
+            files = new Map();
+            for (const link of links) {
+                try {
+                    const gist = await getGistFiles(link.gistId || link.url);
+                    files.set(link.name, Object.keys(gist.files).map(f => f.replace(/\\/g, '/')));
+                } catch (e) {
+                    if (verbose) log(`Could not search files of ${link.name}: ${e.message}`);
+                }
             }
-        } else {
-            console.log(output);
         }
 
-        console.log('');
-        console.log(`Deleting ${allResolvedFiles.length} files...`);
-    }
+        const results = searchLinks(links, query, files);
+        if (outputFormat) {
+            writeJson(results.map(r => r.link));
+            return false;
+        }
 
-    const folders = new Set();
-    for (const file of allResolvedFiles) {
-        if (verbose) console.log(`RM: ${file}`);
-        try {
-            fs.unlinkSync(file);
-            folders.add(path.dirname(file));
-        } catch (e) {
-            if (verbose) console.log(`ERROR: ${e.message}`);
+        log('');
+        if (results.length === 0) {
+            log(`No add-ins found matching '${query}'`);
+            return false;
         }
-    }
 
-    // Delete empty folders
-    const sortedFolders = [...folders].sort((a, b) => b.length - a.length);
-    for (const folder of sortedFolders) {
-        try {
-            const entries = fs.readdirSync(folder);
-            if (entries.length === 0) {
-                if (verbose) console.log(`RMDIR: ${folder}`);
-                fs.rmSync(folder, { recursive: false });
+        const { terms } = parseSearchQuery(query);
+        const useColor = output.isTTY && !process.env.NO_COLOR;
+        const mark = text => useColor ? highlightTerms(text, terms) : text;
+        const pad = (text, width) => mark(text) + ' '.repeat(Math.max(0, width - text.length));
+
+        const padName = Math.max(...results.map(r => r.link.name.length)) + 1;
+        const padTo = Math.max(...results.map(r => (r.link.to || '').length)) + 1;
+        const padBy = Math.max(...results.map(r => r.link.user.length)) + 1;
+        const padDesc = Math.max(...results.map(r => r.link.description.length)) + 1;
+
+        const plural = results.length === 1 ? '' : 's';
+        log(`${results.length} result${plural} matching '${query}':`);
+        log('');
+        results.forEach(({ link, index, files }) => {
+            const toLabel = link.to ? ` to: ${link.to.padEnd(padTo, ' ')}` : '';
+            const tagsStr = link.tags ? `[${link.tags.map(mark).join(',')}]` : '';
+            log(` ${String(index + 1).padStart(3, ' ')}. ${pad(link.name, padName)} ${pad(link.description, padDesc)}${toLabel} by @${pad(link.user, padBy)} ${tagsStr}`);
+            if (files.length > 0) {
+                log(`      files: ${files.map(mark).join(', ')}`);
             }
-        } catch (e) {
-            // Ignore errors
-        }
+        });
+
+        log('');
+        log(`   Usage: ${tool} <name|number> <name|number> ...`);
+        return false;
     }
 
-    if (!silent) {
-        console.log('Done.');
+    /**
+     * Apply or delete add-ins, writing a report of what changed with --json or --ndjson
+     */
+    function withReport(command, fn) {
+        return outputFormat ? runWithReport(command, fn) : fn();
     }
 
-    return true;
+    return Object.assign(mixer, {
+        getLinks: getGistApplyLinks,
+        list: async (tag = null, { links = null, usage = null } = {}) => printGistLinks(tool, links || await getGistApplyLinks(), tag, usage),
+        search: (query, { files = false } = {}) => searchGists(tool, query, files),
+        apply: aliases => withReport('apply', () => applyGists(tool, aliases, projectName)),
+        delete: aliases => withReport('delete', () => deleteGists(tool, aliases, projectName)),
+        update: (aliases = []) => updateGists(tool, aliases),
+        undo: (args = [], { list = false } = {}) => undoGists(tool, args, list),
+        pick: (query = '', { deleteMode = false } = {}) => pickAndApplyGists(tool, query, deleteMode),
+        lint: (source = null) => lintRegistries(source),
+        interrupt: interruptTransactions,
+    });
 }
 
 /**
@@ -1011,9 +3885,38 @@ function printHelp(tool) {
     console.log('Apply add-in file contents from gist URL:');
     console.log(`   ${tool} <gist-url>`);
     console.log('');
+    console.log('Apply add-in from a local directory, .zip or .tar.gz archive:');
+    console.log(`   ${tool} ./path/to/add-in`);
+    console.log('');
+    console.log('Use a local registry, e.g. when authoring add-ins:');
+    console.log(`   ${tool} -s ./mix.md <name> <name> ...`);
+    console.log('');
+    console.log('Combine registries, with add-ins that have the same name applied as prefix/name:');
+    console.log(`   ${tool} -s ss=<gist-id> -s acme=./mix.md <name> acme/<name> ...`);
+    console.log('');
+    console.log('Apply add-in from a GitHub repository, optionally at a ref and subfolder:');
+    console.log(`   ${tool} https://github.com/<user>/<repo>/tree/<ref>/<path>`);
+    console.log('');
     console.log('Delete previous add-ins:');
     console.log(`   ${tool} -delete <name> <name> ...`);
     console.log('');
+    console.log('Update previous add-ins to their latest version, merging in local changes:');
+    console.log(`   ${tool} update <name> <name> ...`);
+    console.log('');
+    console.log('Undo the last add-in apply, list previous applies or undo a specific one:');
+    console.log(`   ${tool} undo`);
+    console.log(`   ${tool} undo --list`);
+    console.log(`   ${tool} undo <id>`);
+    console.log('');
+    console.log('Search add-ins by name, description, tags or author, optionally filtered by field or searching file names:');
+    console.log(`   ${tool} search <query> [by:user] [tag:db] [to:path] [--files]`);
+    console.log('');
+    console.log('Check a registry for unparseable entries, duplicate names, invalid modifiers and broken links:');
+    console.log(`   ${tool} lint [./mix.md|<gist-id>]`);
+    console.log('');
+    console.log('Search and select add-ins to apply in an interactive picker:');
+    console.log(`   ${tool} -i [query]`);
+    console.log('');
     console.log('Use custom project name instead of current folder name (replaces MyApp):');
     console.log(`   ${tool} -name ProjectName <name> <name> ...`);
     console.log('');
@@ -1023,20 +3926,48 @@ function printHelp(tool) {
     console.log('Multi replace with escaped string example:');
     console.log(`   ${tool} -replace term=with -replace "This Phrase"="With This" <name> <name> ...`);
     console.log('');
+    console.log('Replace with a regex, or every case variant of a name (AcmeCorp, acme-corp, acme_corp, ...), only in *.cs files:');
+    console.log(`   ${tool} -replace-regex "Acme\\.(\\w+)=Contoso.$1" -replace-all AcmeCorp=Contoso -in "*.cs" <name> ...`);
+    console.log('');
+    console.log('Set template variables declared by add-ins instead of being prompted:');
+    console.log(`   ${tool} -var Port=5000 -var-file vars.json <name> <name> ...`);
+    console.log('');
+    console.log('Preview which files would be written without changing anything:');
+    console.log(`   ${tool} --dry-run <name> <name> ...`);
+    console.log('');
+    console.log('Show a unified diff of each file before applying:');
+    console.log(`   ${tool} --diff <name> <name> ...`);
+    console.log('');
+    console.log('Write results as JSON or newline delimited JSON for scripts, with other output on stderr:');
+    console.log(`   ${tool} --json`);
+    console.log(`   ${tool} --ndjson -y <name> <name> ...`);
+    console.log('');
+    console.log('Only use previously cached gists without accessing the network:');
+    console.log(`   ${tool} --offline <name> <name> ...`);
+    console.log('');
+    console.log('Defaults for -s, -name, -replace, -out, -p and allowed _init commands are read from the nearest');
+    console.log('.add-inrc.json or "add-in" key in package.json, and ~/.add-inrc.json. Show where each setting came from:');
+    console.log(`   ${tool} -v <name> <name> ...`);
+    console.log('');
     console.log('Only display available gists with a specific tag:');
     console.log(`  ${tool} [tag]`);
     console.log(`  ${tool} [tag1,tag2]`);
 }
 
 /**
- * Parse command line arguments
+ * Parse command line arguments, the `options` of the result are used to create a mixer
  */
 function parseArgs(args) {
     const result = {
         help: false,
         deleteMode: false,
-        gistAliases: []
+        list: false,
+        interactive: false,
+        files: false,
+        gistAliases: [],
+        options: { replaceTokens: [], vars: {} }
     };
+    const options = result.options;
 
     const helpArgs = ['/help', '--help', '-help', '?'];
     const verboseArgs = ['/v', '-v', '/verbose', '-verbose', '--verbose'];
@@ -1049,6 +3980,20 @@ function parseArgs(args) {
     const outArgs = ['/out', '-out', '--out'];
     const nameArgs = ['/name', '-name', '--name'];
     const replaceArgs = ['/replace', '-replace', '--replace'];
+    const replaceRegexArgs = ['/replace-regex', '-replace-regex', '--replace-regex'];
+    const replaceAllArgs = ['/replace-all', '-replace-all', '--replace-all'];
+    const inArgs = ['/in', '-in', '--in'];
+    const varArgs = ['/var', '-var', '--var'];
+    const varFileArgs = ['/var-file', '-var-file', '--var-file'];
+    const dryRunArgs = ['/dry-run', '-dry-run', '--dry-run'];
+    const diffArgs = ['/diff', '-diff', '--diff'];
+    const offlineArgs = ['/offline', '-offline', '--offline'];
+    const listArgs = ['/list', '-list', '--list'];
+    const interactiveArgs = ['/i', '-i', '/interactive', '-interactive', '--interactive'];
+    const filesArgs = ['/files', '-files', '--files'];
+    const jsonArgs = ['/json', '-json', '--json'];
+    const ndjsonArgs = ['/ndjson', '-ndjson', '--ndjson'];
+    const cacheTtlArgs = ['/cache-ttl', '-cache-ttl', '--cache-ttl'];
 
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
@@ -1058,38 +4003,78 @@ function parseArgs(args) {
             continue;
         }
         if (verboseArgs.includes(arg)) {
-            verbose = true;
+            options.verbose = true;
             continue;
         }
         if (sourceArgs.includes(arg)) {
-            gistLinksId = args[++i];
+            const source = args[++i];
+            if (!source) throw new Error('Missing -s value, e.g -s ./mix.md or -s acme=<gist-id>');
+            // Repeated sources are merged in order, each with an optional prefix
+            options.source = options.source ? [].concat(options.source, source) : source;
             continue;
         }
         if (forceArgs.includes(arg) || yesArgs.includes(arg)) {
-            forceApproval = true;
-            silent = true;
+            options.forceApproval = true;
+            options.silent = true;
             continue;
         }
         if (preserveArgs.includes(arg)) {
-            preserve = true;
+            options.preserve = true;
             continue;
         }
         if (ignoreSslArgs.includes(arg)) {
-            ignoreSslErrors = true;
+            options.ignoreSslErrors = true;
             continue;
         }
         if (deleteArgs.includes(arg)) {
             result.deleteMode = true;
             continue;
         }
+        if (dryRunArgs.includes(arg)) {
+            options.dryRun = true;
+            continue;
+        }
+        if (diffArgs.includes(arg)) {
+            options.showDiff = true;
+            continue;
+        }
+        if (interactiveArgs.includes(arg)) {
+            result.interactive = true;
+            continue;
+        }
+        if (listArgs.includes(arg)) {
+            result.list = true;
+            continue;
+        }
+        if (filesArgs.includes(arg)) {
+            result.files = true;
+            continue;
+        }
+        if (jsonArgs.includes(arg)) {
+            options.outputFormat = 'json';
+            continue;
+        }
+        if (ndjsonArgs.includes(arg)) {
+            options.outputFormat = 'ndjson';
+            continue;
+        }
+        if (offlineArgs.includes(arg)) {
+            options.offline = true;
+            continue;
+        }
+        if (cacheTtlArgs.includes(arg)) {
+            options.cacheTtl = parseInt(args[++i], 10);
+            if (isNaN(options.cacheTtl) || options.cacheTtl < 0) throw new Error('Invalid -cache-ttl value, e.g: -cache-ttl 3600');
+            continue;
+        }
         if (outArgs.includes(arg)) {
-            outDir = args[++i];
-            if (!outDir.endsWith('/')) outDir += '/';
+            options.outDir = args[++i];
+            if (options.outDir !== '.' && !options.outDir.endsWith('/')) options.outDir += '/';
             continue;
         }
         if (nameArgs.includes(arg)) {
-            projectName = args[++i];
-            if (!projectName) throw new Error('Missing -name value');
+            options.projectName = args[++i];
+            if (!options.projectName) throw new Error('Missing -name value');
             continue;
         }
         if (replaceArgs.includes(arg)) {
@@ -1101,7 +4086,60 @@ function parseArgs(args) {
             
             const term = replacePair.substring(0, eqPos);
             const replacement = replacePair.substring(eqPos + 1);
-            replaceTokens.push([term, replacement]);
+            options.replaceTokens.push([term, replacement]);
+            continue;
+        }
+        if (replaceRegexArgs.includes(arg)) {
+            const replacePair = args[++i];
+            if (!replacePair) throw new Error('Missing -replace-regex value, e.g -replace-regex "Acme\\.(\\w+)=Contoso.$1"');
+
+            let eqPos = findRegexSeparator(replacePair);
+            if (eqPos === -1) eqPos = replacePair.indexOf('=');
+            if (eqPos === -1) throw new Error('Invalid -replace-regex usage, e.g: -replace-regex "Acme\\.(\\w+)=Contoso.$1"');
+
+            const pattern = replacePair.substring(0, eqPos);
+            const token = [pattern, replacePair.substring(eqPos + 1), { mode: 'regex' }];
+            try {
+                // Compiled once for every file, as a property of the token so it isn't saved in the manifest
+                token.regex = new RegExp(pattern, 'g');
+            } catch (e) {
+                throw new Error(`Invalid -replace-regex pattern '${pattern}': ${e.message}`);
+            }
+            options.replaceTokens.push(token);
+            continue;
+        }
+        if (replaceAllArgs.includes(arg)) {
+            const replacePair = args[++i];
+            if (!replacePair) throw new Error('Missing -replace-all value, e.g -replace-all Acme=Contoso');
+
+            const eqPos = replacePair.indexOf('=');
+            if (eqPos <= 0) throw new Error('Invalid -replace-all usage, e.g: -replace-all Acme=Contoso');
+
+            options.replaceTokens.push([replacePair.substring(0, eqPos), replacePair.substring(eqPos + 1), { mode: 'all' }]);
+            continue;
+        }
+        if (inArgs.includes(arg)) {
+            const glob = args[++i];
+            if (!glob) throw new Error('Missing -in value, e.g -replace term=with -in "*.cs"');
+            const token = options.replaceTokens[options.replaceTokens.length - 1];
+            if (!token) throw new Error('-in must follow a -replace, -replace-regex or -replace-all, e.g -replace term=with -in "*.cs"');
+
+            token[2] = { ...token[2], glob };
+            continue;
+        }
+        if (varArgs.includes(arg)) {
+            const varPair = args[++i];
+            if (!varPair) throw new Error('Missing -var value, e.g -var key=value');
+
+            const eqPos = varPair.indexOf('=');
+            if (eqPos === -1) throw new Error('Invalid -var usage, e.g: -var key=value');
+
+            options.vars[varPair.substring(0, eqPos)] = varPair.substring(eqPos + 1);
+            continue;
+        }
+        if (varFileArgs.includes(arg)) {
+            options.varsFile = args[++i];
+            if (!options.varsFile) throw new Error('Missing -var-file value, e.g -var-file vars.json');
             continue;
         }
         if (arg.startsWith('-')) {
@@ -1115,7 +4153,33 @@ function parseArgs(args) {
 }
 
 /**
- * Main entry point
+ * Find the '=' separating a -replace-regex pattern from its replacement, skipping escaped characters
+ * and '=' inside groups and character classes like (?=...) or [=]
+ */
+function findRegexSeparator(pair) {
+    let depth = 0;
+    let inClass = false;
+    for (let i = 0; i < pair.length; i++) {
+        const c = pair[i];
+        if (c === '\\') {
+            i++;
+        } else if (inClass) {
+            if (c === ']') inClass = false;
+        } else if (c === '[') {
+            inClass = true;
+        } else if (c === '(') {
+            depth++;
+        } else if (c === ')') {
+            depth--;
+        } else if (c === '=' && depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Main entry point, runs a command line with a mixer for its options
  */
 async function mix(tool, args) {
     const parsed = parseArgs(args);
@@ -1125,25 +4189,84 @@ async function mix(tool, args) {
         return false;
     }
 
-    if (parsed.gistAliases.length === 0) {
-        // List all gists
-        const links = await getGistApplyLinks();
-        printGistLinks(tool, links);
-        return false;
+    const { options, origins } = mergeConfig(parsed.options, loadConfig());
+    const mixer = createMixer({ ...options, tool });
+
+    // Roll back an apply in progress on Ctrl+C before exiting
+    const onInterrupt = () => {
+        mixer.interrupt();
+        process.exit(130);
+    };
+    process.once('SIGINT', onInterrupt);
+    try {
+        if (options.verbose) printSettings(options, origins);
+        return await runCommand(mixer, parsed);
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+    }
+}
+
+/**
+ * Print the effective configurable settings and whether they came from the command line, MIX_SOURCE or a config file
+ */
+function printSettings(options, origins) {
+    const format = {
+        source: v => [].concat(v).join(', '),
+        projectName: v => v,
+        replaceTokens: v => v.map(([term, replacement]) => `${term}=${replacement}`).join(', '),
+        outDir: v => v,
+        preserve: v => String(v),
+        initAllowlist: v => v.join(', '),
+    };
+    const entries = Object.keys(origins);
+    if (entries.length === 0) return;
+
+    // Keep stdout for JSON with --json or --ndjson
+    const log = options.outputFormat ? console.error : console.log;
+    log('Settings:');
+    for (const name of entries) {
+        log(`  ${name}: ${format[name](options[name])} (${origins[name]})`);
     }
+    log('');
+}
 
+/**
+ * Run the command for parsed command line arguments
+ */
+async function runCommand(mixer, parsed) {
     const firstArg = parsed.gistAliases[0];
+    if (parsed.options.outputFormat && (parsed.interactive || ['update', 'undo', 'lint'].includes(firstArg))) {
+        throw new Error('--json and --ndjson are only supported when listing, searching, applying and deleting add-ins');
+    }
+
+    if (parsed.interactive) {
+        return mixer.pick(parsed.gistAliases.join(' '), { deleteMode: parsed.deleteMode });
+    }
+
+    if (parsed.gistAliases.length === 0) {
+        // List all gists
+        return mixer.list();
+    }
 
     // Check for tag search
     if (firstArg.startsWith('#')) {
-        const links = await getGistApplyLinks();
-        printGistLinks(tool, links, firstArg.substring(1));
-        return false;
+        return mixer.list(firstArg.substring(1));
     }
     if (firstArg.startsWith('[') && firstArg.endsWith(']')) {
-        const links = await getGistApplyLinks();
-        printGistLinks(tool, links, firstArg.substring(1, firstArg.length - 1));
-        return false;
+        return mixer.list(firstArg.substring(1, firstArg.length - 1));
+    }
+
+    if (firstArg === 'search') {
+        return mixer.search(parsed.gistAliases.slice(1).join(' '), { files: parsed.files });
+    }
+    if (firstArg === 'update') {
+        return mixer.update(parsed.gistAliases.slice(1));
+    }
+    if (firstArg === 'undo') {
+        return mixer.undo(parsed.gistAliases.slice(1), { list: parsed.list });
+    }
+    if (firstArg === 'lint') {
+        return mixer.lint(parsed.gistAliases[1] || null);
     }
 
     // Handle + separator
@@ -1152,19 +4275,52 @@ async function mix(tool, args) {
         gistAliases = gistAliases[0].split('+');
     }
 
-    if (!parsed.deleteMode) {
-        return applyGists(tool, gistAliases, projectName);
-    } else {
-        return deleteGists(tool, gistAliases, projectName);
-    }
+    return parsed.deleteMode ? mixer.delete(gistAliases) : mixer.apply(gistAliases);
+}
+
+// Functions exported before createMixer(), kept for existing callers
+
+let defaultMixer = null;
+
+function getGistApplyLinks() {
+    defaultMixer = defaultMixer || createMixer();
+    return defaultMixer.getLinks();
+}
+
+function applyGists(tool, gistAliases, projName = null) {
+    return createMixer({ tool, projectName: projName }).apply(gistAliases);
+}
+
+function deleteGists(tool, gistAliases, projName) {
+    return createMixer({ tool, projectName: projName }).delete(gistAliases);
+}
+
+function printGistLinks(tool, links, tag = null, usage = null) {
+    return createMixer({ tool }).list(tag, { links, usage });
 }
 
 module.exports = {
     mix,
+    createMixer,
     getGistApplyLinks,
     applyGists,
     deleteGists,
     printGistLinks,
+    createPrompt,
+    httpRequest,
+    parseArgs,
     parseGistLinks,
+    lintGistLinks,
+    resolveGistPlan,
+    findManifestEntry,
+    parseGistVars,
+    replaceVars,
+    parseFileConditions,
+    matchesTargetFramework,
+    globToRegex,
+    getCaseReplacements,
+    applyReplaceToken,
+    parseJsonPointer,
+    applyJsonPatch,
     VERSION
 };
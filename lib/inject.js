@@ -0,0 +1,152 @@
+// Anchor based injection of snippets into existing source files, e.g. Program.cs.inject
+
+/**
+ * Escape text for use in a regular expression
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a line matcher for an anchor, which matches lines containing its text. With a `regex` of
+ * true or flags like 'i' the anchor is a regular expression instead, e.g. ^app\.Run\(
+ */
+function parseAnchor(anchor, regex) {
+    if (regex === undefined || regex === false) {
+        return line => line.includes(anchor);
+    }
+    if (regex !== true && !(typeof regex === 'string' && /^[a-z]*$/.test(regex))) {
+        throw new Error(`Invalid regex ${JSON.stringify(regex)}, expected true or regex flags like 'i'`);
+    }
+    let pattern;
+    try {
+        pattern = new RegExp(anchor, regex === true ? '' : regex.replace(/[gy]/g, ''));
+    } catch (e) {
+        throw new Error(`Invalid regex anchor /${anchor}/: ${e.message}`);
+    }
+    return line => pattern.test(line);
+}
+
+/**
+ * Get the leading whitespace of a line
+ */
+function getIndent(line) {
+    return line.match(/^\s*/)[0];
+}
+
+/**
+ * Find the start and end marker lines of a named region, e.g. `#region Plugins` ... `#endregion`
+ * in C# or `// #region Plugins` ... `// #endregion` in JS. Returns null if it's not found
+ */
+function findRegion(lines, name) {
+    const startMarker = new RegExp(`(^|[^\\w])#?region\\s+${escapeRegex(name)}(\\s|-->|\\*/|$)`);
+    const anyStart = /(^|[^\w])#?region\b/;
+    const endMarker = /(^|[^\w])#?endregion\b/;
+
+    const start = lines.findIndex(line => startMarker.test(line));
+    if (start === -1) return null;
+
+    let depth = 0;
+    for (let i = start + 1; i < lines.length; i++) {
+        if (endMarker.test(lines[i])) {
+            if (depth === 0) return { start, end: i };
+            depth--;
+        } else if (anyStart.test(lines[i])) {
+            depth++;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the lines of a snippet indented to a new indentation, keeping their indentation relative to each other
+ */
+function indentSnippet(snippet, indent) {
+    const minIndent = Math.min(...snippet.filter(line => line.trim()).map(line => getIndent(line).length));
+    return snippet.map(line => line.trim() ? indent + line.substring(minIndent) : '');
+}
+
+/**
+ * Check if a snippet is already in the file, ignoring indentation and blank lines
+ */
+function containsSnippet(lines, snippet) {
+    const normalize = list => list.map(line => line.trim()).filter(line => line);
+    const haystack = normalize(lines);
+    const needle = normalize(snippet);
+    if (needle.length === 0) return true;
+    for (let i = 0; i + needle.length <= haystack.length; i++) {
+        if (needle.every((line, j) => haystack[i + j] === line)) return true;
+    }
+    return false;
+}
+
+/**
+ * Inject snippets into source text and return the new text. Each injection is an object with the
+ * snippet to `insert` and one of `before` or `after` a matching line, or a `region` to insert it in.
+ * Snippets that are already in the file are skipped so re-applying injections doesn't change anything.
+ */
+function applyInjections(text, injections) {
+    if (!Array.isArray(injections)) {
+        injections = [injections];
+    }
+
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = text.split(/\r?\n/);
+
+    injections.forEach((injection, i) => {
+        const anchors = ['before', 'after', 'region'].filter(key => injection && typeof injection[key] === 'string');
+        const desc = anchors.length === 1
+            ? (anchors[0] === 'region' ? `in region '${injection.region}'` : `${anchors[0]} '${injection[anchors[0]]}'`)
+            : '';
+        try {
+            if (anchors.length !== 1) {
+                throw new Error("Requires exactly one of 'before', 'after' or 'region'");
+            }
+            const insert = injection.insert;
+            if (typeof insert !== 'string' && !(Array.isArray(insert) && insert.every(line => typeof line === 'string'))) {
+                throw new Error("Requires the 'insert' text as a string or array of lines");
+            }
+
+            const snippet = Array.isArray(insert) ? insert : insert.replace(/\r?\n$/, '').split(/\r?\n/);
+            if (containsSnippet(lines, snippet)) return;
+
+            let index;
+            let indent;
+            if (injection.region) {
+                const position = injection.position || 'end';
+                if (position !== 'start' && position !== 'end') {
+                    throw new Error(`Unknown position '${position}', expected 'start' or 'end'`);
+                }
+                const region = findRegion(lines, injection.region);
+                if (!region) {
+                    throw new Error('Region not found');
+                }
+                // Indent like the existing content of the region, or its start marker when it's empty
+                const content = lines.slice(region.start + 1, region.end).filter(line => line.trim());
+                indent = getIndent(content.length > 0
+                    ? content[position === 'start' ? 0 : content.length - 1]
+                    : lines[region.start]);
+                index = position === 'start' ? region.start + 1 : region.end;
+            } else {
+                const anchor = anchors[0];
+                const matches = parseAnchor(injection[anchor], injection.regex);
+                const line = lines.findIndex(l => matches(l));
+                if (line === -1) {
+                    throw new Error('Anchor not found');
+                }
+                indent = getIndent(lines[line]);
+                index = anchor === 'before' ? line : line + 1;
+            }
+
+            lines.splice(index, 0, ...indentSnippet(snippet, indent));
+        } catch (e) {
+            throw new Error(`Injection #${i} ${desc ? desc + ' ' : ''}failed: ${e.message}`);
+        }
+    });
+
+    return lines.join(eol);
+}
+
+module.exports = {
+    applyInjections,
+};
@@ -0,0 +1,237 @@
+// Interactive fuzzy picker for choosing gists from the registry in a terminal
+
+const readline = require('readline');
+
+// Lines reserved for the preview of the highlighted gist
+const PREVIEW_HEIGHT = 8;
+
+/**
+ * Fuzzy match a query against text, each character of the query has to appear in order.
+ * Returns { score, positions } with a higher score for consecutive matches and matches at the
+ * start of words, or null if it doesn't match
+ */
+function fuzzyMatch(query, text) {
+    if (!query) return { score: 0, positions: [] };
+    const q = query.toLowerCase();
+    const t = (text || '').toLowerCase();
+
+    const positions = [];
+    let score = 0;
+    let ti = 0;
+    for (let qi = 0; qi < q.length; qi++) {
+        const index = t.indexOf(q[qi], ti);
+        if (index === -1) return null;
+
+        const prev = positions[positions.length - 1];
+        if (prev !== undefined && index === prev + 1) {
+            score += 5;
+        } else if (prev !== undefined) {
+            score -= Math.min(index - prev - 1, 5);
+        }
+        if (index === 0 || /[\s\-_.,/]/.test(t[index - 1])) {
+            score += 8;
+        } else if (text[index] !== t[index] && text[index - 1] === t[index - 1]) {
+            // Start of a PascalCase word
+            score += 6;
+        }
+        score += 1;
+        positions.push(index);
+        ti = index + 1;
+    }
+    return { score, positions };
+}
+
+/**
+ * Filter and rank gist links by a fuzzy query over their name, description and tags.
+ * Every word in the query has to match one of them, names rank higher than descriptions and tags.
+ * Returns a list of { link, index, score }
+ */
+function filterLinks(links, query) {
+    const terms = (query || '').trim().split(/\s+/).filter(t => t);
+    const results = [];
+    links.forEach((link, index) => {
+        let score = 0;
+        for (const term of terms) {
+            const matches = [
+                { match: fuzzyMatch(term, link.name), weight: 3 },
+                { match: fuzzyMatch(term, link.description), weight: 1 },
+                { match: fuzzyMatch(term, (link.tags || []).join(' ')), weight: 2 },
+            ].filter(m => m.match);
+            if (matches.length === 0) return;
+            score += Math.max(...matches.map(m => (m.match.score + term.length) * m.weight));
+        }
+        results.push({ link, index, score });
+    });
+    return results.sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+/**
+ * Highlight the characters of text at the matched positions
+ */
+function highlight(text, match) {
+    if (!match || match.positions.length === 0) return text;
+    const positions = new Set(match.positions);
+    return [...text].map((c, i) => positions.has(i) ? `\x1b[1;33m${c}\x1b[22;39m` : c).join('');
+}
+
+/**
+ * Cut text to a terminal width, ignoring the width of color codes
+ */
+function fit(text, width) {
+    let visible = 0;
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\x1b') {
+            const end = text.indexOf('m', i);
+            result += text.substring(i, end + 1);
+            i = end;
+            continue;
+        }
+        if (visible >= width) break;
+        result += text[i];
+        visible++;
+    }
+    return result + '\x1b[0m';
+}
+
+/**
+ * Show an interactive picker to search and select gists. `loadFiles(link)` resolves the names of
+ * the files in a gist for the preview pane. Resolves the names of the selected gists, or null if cancelled
+ */
+function pickGists(links, { loadFiles, query = '', input = process.stdin, output = process.stdout } = {}) {
+    return new Promise((resolve) => {
+        let results = filterLinks(links, query);
+        let cursor = 0;
+        let scroll = 0;
+        const selected = [];
+        const fileCache = new Map();
+        let done = false;
+
+        const write = text => output.write(text);
+
+        const previewLines = (link) => {
+            const lines = [`\x1b[1m${link.name}\x1b[0m  to: ${link.to || '.'}${link.user ? `  by @${link.user}` : ''}`];
+            if (!fileCache.has(link.name)) {
+                fileCache.set(link.name, null);
+                Promise.resolve(loadFiles ? loadFiles(link) : [])
+                    .then(files => fileCache.set(link.name, files))
+                    .catch(e => fileCache.set(link.name, e))
+                    .then(render);
+            }
+            const files = fileCache.get(link.name);
+            if (files === null) {
+                lines.push('  Loading...');
+            } else if (files instanceof Error) {
+                lines.push(`  \x1b[31m${files.message}\x1b[0m`);
+            } else {
+                const max = PREVIEW_HEIGHT - 2;
+                files.slice(0, files.length > max ? max - 1 : max).forEach(f => lines.push(`  ${f}`));
+                if (files.length > max) lines.push(`  ... ${files.length - max + 1} more`);
+            }
+            return lines;
+        };
+
+        const render = () => {
+            if (done) return;
+            const rows = output.rows || 24;
+            const columns = output.columns || 80;
+            const listHeight = Math.max(3, rows - PREVIEW_HEIGHT - 4);
+            if (cursor < scroll) scroll = cursor;
+            if (cursor >= scroll + listHeight) scroll = cursor - listHeight + 1;
+
+            const padName = Math.max(0, ...links.map(l => l.name.length)) + 1;
+            const lines = [`Search: ${query}\x1b[7m \x1b[0m  \x1b[2m(${results.length}/${links.length})\x1b[0m`];
+            for (let i = scroll; i < scroll + listHeight; i++) {
+                const result = results[i];
+                if (!result) {
+                    lines.push('');
+                    continue;
+                }
+                const { link } = result;
+                const terms = query.trim().split(/\s+/).filter(t => t);
+                const nameMatch = terms.map(t => fuzzyMatch(t, link.name)).find(m => m);
+                const mark = selected.includes(link.name) ? '[x]' : '[ ]';
+                const pointer = i === cursor ? '\x1b[36m>\x1b[0m' : ' ';
+                const tags = link.tags ? ` \x1b[2m[${link.tags.join(',')}]\x1b[0m` : '';
+                const name = highlight(link.name, nameMatch) + ' '.repeat(padName - link.name.length);
+                lines.push(fit(`${pointer} ${mark} ${name} ${link.description}${tags}`, columns));
+            }
+
+            lines.push('\x1b[2m' + '─'.repeat(columns) + '\x1b[0m');
+            const preview = results[cursor] ? previewLines(results[cursor].link) : [];
+            for (let i = 0; i < PREVIEW_HEIGHT; i++) {
+                lines.push(fit(preview[i] || '', columns));
+            }
+            const count = selected.length > 0 ? `  ${selected.length} selected` : '';
+            lines.push(fit(`\x1b[2m↑/↓ move  space select  enter apply  esc cancel\x1b[0m${count}`, columns));
+
+            write('\x1b[H' + lines.map(line => line + '\x1b[K').join('\r\n') + '\x1b[J');
+        };
+
+        const finish = (value) => {
+            done = true;
+            input.removeListener('keypress', onKeypress);
+            if (input.isTTY) input.setRawMode(false);
+            input.pause();
+            write('\x1b[?25h\x1b[?1049l');
+            resolve(value);
+        };
+
+        const onKeypress = (str, key = {}) => {
+            if ((key.ctrl && key.name === 'c') || key.name === 'escape') {
+                finish(null);
+                return;
+            }
+            if (key.name === 'return' || key.name === 'enter') {
+                const names = selected.length > 0 ? selected : (results[cursor] ? [results[cursor].link.name] : []);
+                finish(names.length > 0 ? names : null);
+                return;
+            }
+
+            const listHeight = Math.max(3, (output.rows || 24) - PREVIEW_HEIGHT - 4);
+            if (key.name === 'up') {
+                cursor = Math.max(0, cursor - 1);
+            } else if (key.name === 'down') {
+                cursor = Math.min(results.length - 1, cursor + 1);
+            } else if (key.name === 'pageup') {
+                cursor = Math.max(0, cursor - listHeight);
+            } else if (key.name === 'pagedown') {
+                cursor = Math.min(results.length - 1, cursor + listHeight);
+            } else if (key.name === 'space') {
+                const link = results[cursor] && results[cursor].link;
+                if (link) {
+                    const index = selected.indexOf(link.name);
+                    if (index === -1) selected.push(link.name);
+                    else selected.splice(index, 1);
+                    cursor = Math.min(results.length - 1, cursor + 1);
+                }
+            } else if (key.name === 'backspace') {
+                query = query.slice(0, -1);
+                results = filterLinks(links, query);
+                cursor = 0;
+            } else if (str && !key.ctrl && !key.meta && str.length === 1 && str >= ' ') {
+                query += str;
+                results = filterLinks(links, query);
+                cursor = 0;
+            } else {
+                return;
+            }
+            cursor = Math.max(0, cursor);
+            render();
+        };
+
+        readline.emitKeypressEvents(input);
+        if (input.isTTY) input.setRawMode(true);
+        input.resume();
+        input.on('keypress', onKeypress);
+
+        write('\x1b[?1049h\x1b[?25l');
+        render();
+    });
+}
+
+module.exports = {
+    fuzzyMatch,
+    filterLinks,
+    pickGists,
+};
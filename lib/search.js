@@ -0,0 +1,114 @@
+// Ranked search across the gist registry with field filters like by:user, to:$HOST and tag:db
+
+const FILTER_FIELDS = ['by', 'to', 'tag'];
+
+// How much a match in each field counts towards a result's rank
+const FIELD_WEIGHTS = { name: 4, tags: 3, description: 2, user: 1, files: 1 };
+
+/**
+ * Split a search query into lower case terms and field filters
+ */
+function parseSearchQuery(query) {
+    const terms = [];
+    const filters = [];
+    for (const word of (query || '').trim().split(/\s+/).filter(w => w)) {
+        const match = word.match(/^(\w+):(.+)$/);
+        if (match && FILTER_FIELDS.includes(match[1].toLowerCase())) {
+            filters.push({ field: match[1].toLowerCase(), value: match[2].toLowerCase() });
+        } else {
+            terms.push(word.toLowerCase());
+        }
+    }
+    return { terms, filters };
+}
+
+/**
+ * Check if a link matches a field filter, filters can list several values separated by commas
+ */
+function matchesFilter(link, filter) {
+    const values = filter.value.split(',').map(v => v.trim()).filter(v => v);
+    switch (filter.field) {
+        case 'by':
+            return values.some(v => link.user.toLowerCase() === v.replace(/^@/, ''));
+        case 'to': {
+            const to = (link.to || '.').toLowerCase().replace(/^\$/, '');
+            return values.some(v => to === v.replace(/^\$/, ''));
+        }
+        case 'tag':
+            return values.some(v => (link.tags || []).some(t => t.toLowerCase() === v));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Score how well a term matches text: whole words rank above word prefixes, which rank above other substrings
+ */
+function scoreTerm(text, term) {
+    const lower = (text || '').toLowerCase();
+    const index = lower.indexOf(term);
+    if (index === -1) return 0;
+    if (lower === term) return 10;
+
+    const isBoundary = i => i < 0 || i >= lower.length || !/[a-z0-9]/.test(lower[i]);
+    const wordStart = isBoundary(index - 1);
+    const wordEnd = isBoundary(index + term.length);
+    return wordStart && wordEnd ? 6 : wordStart ? 4 : 2;
+}
+
+/**
+ * Search links by name, description, tags, author and optionally the file names in each gist.
+ * Every term has to match at least one field and every filter has to match. `files` is an optional
+ * Map of link names to their file names. Returns a list of { link, index, score, files } ranked by
+ * score then registry order, where `files` are the file names that matched
+ */
+function searchLinks(links, query, files = null) {
+    const { terms, filters } = parseSearchQuery(query);
+    const results = [];
+
+    links.forEach((link, index) => {
+        if (!filters.every(filter => matchesFilter(link, filter))) return;
+
+        const linkFiles = files && files.get(link.name) || [];
+        const matchedFiles = new Set();
+        let score = 0;
+        for (const term of terms) {
+            const fileScores = linkFiles.map(f => {
+                const fileScore = scoreTerm(f, term);
+                if (fileScore > 0) matchedFiles.add(f);
+                return fileScore;
+            });
+            const termScore = Math.max(
+                scoreTerm(link.name, term) * FIELD_WEIGHTS.name,
+                Math.max(0, ...(link.tags || []).map(t => scoreTerm(t, term))) * FIELD_WEIGHTS.tags,
+                scoreTerm(link.description, term) * FIELD_WEIGHTS.description,
+                scoreTerm(link.user, term) * FIELD_WEIGHTS.user,
+                Math.max(0, ...fileScores) * FIELD_WEIGHTS.files
+            );
+            if (termScore === 0) return;
+            score += termScore;
+        }
+        results.push({ link, index, score, files: [...matchedFiles] });
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+/**
+ * Wrap every occurrence of the search terms in text with terminal highlighting
+ */
+function highlightTerms(text, terms) {
+    if (!text || terms.length === 0) return text;
+    const pattern = terms
+        .slice()
+        .sort((a, b) => b.length - a.length)
+        .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+    return text.replace(new RegExp(pattern, 'gi'), match => `\x1b[1;33m${match}\x1b[22;39m`);
+}
+
+module.exports = {
+    parseSearchQuery,
+    searchLinks,
+    highlightTerms,
+};
@@ -0,0 +1,638 @@
+// Minimal XML parser and RFC 5261 style patcher for .csproj, Web.config and other XML files.
+// Untouched markup is written back exactly as it was read so patches produce small diffs.
+
+// Attributes that identify an element among its siblings, e.g. <PackageReference Include="..." />
+const KEY_ATTRIBUTES = ['Include', 'Update', 'Remove', 'key', 'name', 'id'];
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Decode XML entities and character references
+ */
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+        if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.substring(2), 16));
+        if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.substring(1), 10));
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+}
+
+/**
+ * Encode text for use in element content or a double quoted attribute value
+ */
+function encodeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the line number of a position in text, used in parse errors
+ */
+function lineAt(text, pos) {
+    return text.substring(0, pos).split('\n').length;
+}
+
+/**
+ * Parse XML into a tree of { type, ... } nodes, keeping the original markup of each node
+ */
+function parseXml(text) {
+    const bom = text.charCodeAt(0) === 0xfeff;
+    if (bom) text = text.substring(1);
+
+    const doc = { type: 'document', children: [], bom };
+    const stack = [doc];
+    const top = () => stack[stack.length - 1];
+    const startTag = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    const readUntil = (pos, end, type) => {
+        const index = text.indexOf(end, pos);
+        if (index === -1) {
+            throw new Error(`Invalid XML, unterminated ${type} at line ${lineAt(text, pos)}`);
+        }
+        return index + end.length;
+    };
+
+    let pos = 0;
+    while (pos < text.length) {
+        const lt = text.indexOf('<', pos);
+        if (lt === -1) {
+            top().children.push({ type: 'text', text: text.substring(pos) });
+            break;
+        }
+        if (lt > pos) {
+            top().children.push({ type: 'text', text: text.substring(pos, lt) });
+        }
+
+        let end;
+        if (text.startsWith('<!--', lt)) {
+            end = readUntil(lt + 4, '-->', 'comment');
+            top().children.push({ type: 'comment', raw: text.substring(lt, end) });
+        } else if (text.startsWith('<![CDATA[', lt)) {
+            end = readUntil(lt + 9, ']]>', 'CDATA section');
+            top().children.push({ type: 'cdata', raw: text.substring(lt, end) });
+        } else if (text.startsWith('<?', lt)) {
+            end = readUntil(lt + 2, '?>', 'processing instruction');
+            top().children.push({ type: 'pi', raw: text.substring(lt, end) });
+        } else if (text.startsWith('<!', lt)) {
+            const subset = text.indexOf('[', lt);
+            const close = text.indexOf('>', lt);
+            end = subset !== -1 && subset < close
+                ? readUntil(subset, ']>', 'DOCTYPE')
+                : readUntil(lt, '>', 'DOCTYPE');
+            top().children.push({ type: 'doctype', raw: text.substring(lt, end) });
+        } else if (text.startsWith('</', lt)) {
+            end = readUntil(lt, '>', 'end tag');
+            const name = text.substring(lt + 2, end - 1).trim();
+            const element = top();
+            if (element.type !== 'element' || element.name !== name) {
+                throw new Error(`Invalid XML, unexpected </${name}> at line ${lineAt(text, lt)}`);
+            }
+            stack.pop();
+        } else {
+            startTag.lastIndex = lt;
+            const match = startTag.exec(text);
+            if (!match) {
+                throw new Error(`Invalid XML, malformed tag at line ${lineAt(text, lt)}`);
+            }
+            end = lt + match[0].length;
+
+            const attrs = [];
+            let attr;
+            attribute.lastIndex = 0;
+            while ((attr = attribute.exec(match[2])) !== null) {
+                attrs.push({ name: attr[1], value: decodeXml(attr[2] !== undefined ? attr[2] : attr[3]) });
+            }
+            const element = { type: 'element', name: match[1], attrs, children: [], raw: match[0], selfClosing: match[3] === '/' };
+            top().children.push(element);
+            if (!element.selfClosing) stack.push(element);
+        }
+        pos = end;
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Invalid XML, <${top().name}> is not closed`);
+    }
+    return doc;
+}
+
+/**
+ * Write an XML tree back to text, elements that haven't changed keep their original start tag
+ */
+function serializeXml(node) {
+    switch (node.type) {
+        case 'document':
+            return (node.bom ? '\ufeff' : '') + node.children.map(serializeXml).join('');
+        case 'text':
+            return node.text;
+        case 'element': {
+            const selfClosing = node.selfClosing && node.children.length === 0;
+            const start = node.raw !== null
+                ? node.raw
+                : `<${node.name}${node.attrs.map(a => ` ${a.name}="${encodeXml(a.value)}"`).join('')}${selfClosing ? ' />' : '>'}`;
+            if (selfClosing) return start;
+            return start + node.children.map(serializeXml).join('') + `</${node.name}>`;
+        }
+        default:
+            return node.raw;
+    }
+}
+
+/**
+ * Get the name of an element without its namespace prefix
+ */
+function localName(name) {
+    const index = name.indexOf(':');
+    return index === -1 ? name : name.substring(index + 1);
+}
+
+/**
+ * Get the text inside a node and all its descendants
+ */
+function textContent(node) {
+    if (node.type === 'text') return decodeXml(node.text);
+    if (node.type === 'cdata') return node.raw.slice(9, -3);
+    if (node.children) return node.children.map(textContent).join('');
+    return '';
+}
+
+/**
+ * Check if a text node only contains whitespace
+ */
+function isWhitespace(node) {
+    return node.type === 'text' && node.text.trim() === '';
+}
+
+/**
+ * Get the value of an attribute, or undefined if it's not set
+ */
+function getAttribute(element, name) {
+    const attr = element.attrs.find(a => a.name === name);
+    return attr ? attr.value : undefined;
+}
+
+/**
+ * Set the value of an attribute, adding it if it's not set
+ */
+function setAttribute(element, name, value) {
+    const attr = element.attrs.find(a => a.name === name);
+    if (attr && attr.value === value) return;
+    if (attr) attr.value = value;
+    else element.attrs.push({ name, value });
+    element.raw = null;
+}
+
+/**
+ * Split text on a separator, ignoring separators inside quotes and brackets
+ */
+function splitOutside(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '[' || c === '(') {
+            depth++;
+        } else if (c === ']' || c === ')') {
+            depth--;
+        } else if (depth === 0 && text.startsWith(separator, i)) {
+            parts.push(text.substring(start, i));
+            start = i + separator.length;
+            i += separator.length - 1;
+        }
+    }
+    parts.push(text.substring(start));
+    return parts;
+}
+
+/**
+ * Parse the XPath subset used in patch selectors, e.g. /Project/ItemGroup[PackageReference][1]/@Label.
+ * Returns a list of { name, descendant, predicates }
+ */
+function parseXPath(sel) {
+    if (!sel || !sel.startsWith('/')) {
+        throw new Error(`Selector '${sel}' must be an absolute path`);
+    }
+    const steps = [];
+    const parts = splitOutside(sel, '/').slice(1);
+    for (let i = 0; i < parts.length; i++) {
+        let descendant = false;
+        if (parts[i] === '') {
+            // '//' selects descendants at any depth
+            descendant = true;
+            i++;
+            if (i >= parts.length || parts[i] === '') {
+                throw new Error(`Invalid selector '${sel}'`);
+            }
+        }
+        const match = parts[i].match(/^(@?[^[\s]+|text\(\))((?:\[.*?\])*)$/);
+        if (!match) {
+            throw new Error(`Invalid selector step '${parts[i]}' in '${sel}'`);
+        }
+        const predicates = [];
+        const predicateText = match[2];
+        let depth = 0;
+        let start = 0;
+        for (let j = 0; j < predicateText.length; j++) {
+            if (predicateText[j] === '[') {
+                if (depth++ === 0) start = j + 1;
+            } else if (predicateText[j] === ']') {
+                if (--depth === 0) predicates.push(predicateText.substring(start, j).trim());
+            }
+        }
+        steps.push({ name: match[1], descendant, predicates });
+    }
+    steps.forEach((step, i) => {
+        if ((step.name.startsWith('@') || step.name === 'text()') && i !== steps.length - 1) {
+            throw new Error(`'${step.name}' must be the last step in '${sel}'`);
+        }
+    });
+    return steps;
+}
+
+/**
+ * Check if an element matches a single XPath predicate
+ */
+function matchesPredicate(element, predicate, position) {
+    const terms = splitOutside(predicate, ' and ');
+    if (terms.length > 1) {
+        return terms.every(term => matchesPredicate(element, term.trim(), position));
+    }
+
+    let match;
+    if (/^\d+$/.test(predicate)) {
+        return position === parseInt(predicate, 10);
+    }
+    if ((match = predicate.match(/^not\((.*)\)$/))) {
+        return !matchesPredicate(element, match[1].trim(), position);
+    }
+    if ((match = predicate.match(/^@([^\s=]+)$/))) {
+        return getAttribute(element, match[1]) !== undefined;
+    }
+    if ((match = predicate.match(/^@([^\s=]+)\s*=\s*(["'])(.*)\2$/))) {
+        return getAttribute(element, match[1]) === match[3];
+    }
+    if ((match = predicate.match(/^text\(\)\s*=\s*(["'])(.*)\1$/))) {
+        return textContent(element).trim() === match[2];
+    }
+    if ((match = predicate.match(/^([^\s=@]+)$/))) {
+        return element.children.some(c => c.type === 'element' && localName(c.name) === localName(match[1]));
+    }
+    if ((match = predicate.match(/^([^\s=@]+)\s*=\s*(["'])(.*)\2$/))) {
+        return element.children.some(c => c.type === 'element'
+            && localName(c.name) === localName(match[1]) && textContent(c).trim() === match[3]);
+    }
+    throw new Error(`Unsupported predicate '[${predicate}]'`);
+}
+
+/**
+ * Find the nodes matching a selector. Elements are returned as { element, parent },
+ * attributes as { element, attribute } and text as { element, text: true }
+ */
+function selectXml(doc, sel) {
+    const steps = parseXPath(sel);
+    let context = [{ element: doc, parent: null }];
+
+    for (const step of steps) {
+        if (step.name.startsWith('@')) {
+            const name = step.name.substring(1);
+            return context
+                .filter(c => c.element.type === 'element' && getAttribute(c.element, name) !== undefined)
+                .map(c => ({ element: c.element, parent: c.parent, attribute: name }));
+        }
+        if (step.name === 'text()') {
+            return context
+                .filter(c => c.element.type === 'element')
+                .map(c => ({ element: c.element, parent: c.parent, text: true }));
+        }
+
+        const next = [];
+        for (const { element } of context) {
+            const candidates = [];
+            const collect = (parent, deep) => {
+                for (const child of parent.children) {
+                    if (child.type !== 'element') continue;
+                    if (step.name === '*' || localName(child.name) === localName(step.name)) {
+                        candidates.push({ element: child, parent });
+                    }
+                    if (deep) collect(child, true);
+                }
+            };
+            collect(element, step.descendant);
+
+            let matches = candidates;
+            for (const predicate of step.predicates) {
+                matches = matches.filter((c, i) => matchesPredicate(c.element, predicate, i + 1));
+            }
+            next.push(...matches);
+        }
+        context = next;
+    }
+    return context;
+}
+
+/**
+ * Check if two elements have the same name, attributes and content, ignoring whitespace and comments
+ */
+function sameElement(a, b) {
+    if (localName(a.name) !== localName(b.name) || a.attrs.length !== b.attrs.length) return false;
+    if (!a.attrs.every(attr => getAttribute(b, attr.name) === attr.value)) return false;
+
+    const content = node => node.children.filter(c => c.type === 'element' || (c.type === 'text' && !isWhitespace(c)) || c.type === 'cdata');
+    const aContent = content(a);
+    const bContent = content(b);
+    if (aContent.length !== bContent.length) return false;
+    return aContent.every((child, i) => {
+        const other = bContent[i];
+        if (child.type === 'element') return other.type === 'element' && sameElement(child, other);
+        return other.type !== 'element' && textContent(child).trim() === textContent(other).trim();
+    });
+}
+
+/**
+ * Check if two elements are the same item, e.g. PackageReferences with the same Include
+ */
+function sameKey(a, b) {
+    if (localName(a.name) !== localName(b.name)) return false;
+    return KEY_ATTRIBUTES.some(name => getAttribute(a, name) !== undefined && getAttribute(a, name) === getAttribute(b, name));
+}
+
+/**
+ * Get the indentation of a child node from the whitespace before it
+ */
+function indentBefore(parent, index) {
+    const prev = parent.children[index - 1];
+    if (prev && isWhitespace(prev) && prev.text.includes('\n')) {
+        return prev.text.substring(prev.text.lastIndexOf('\n') + 1);
+    }
+    return null;
+}
+
+/**
+ * Work out the indentation used for children of an element
+ */
+function childIndent(doc, parent, unit) {
+    const index = parent.children.findIndex(c => c.type === 'element');
+    if (index !== -1) {
+        const indent = indentBefore(parent, index);
+        if (indent !== null) return indent;
+    }
+    return elementIndent(doc, parent) + unit;
+}
+
+/**
+ * Get the indentation of an element in the document
+ */
+function elementIndent(doc, element) {
+    const parent = findParent(doc, element);
+    if (!parent) return '';
+    const indent = indentBefore(parent, parent.children.indexOf(element));
+    return indent !== null ? indent : '';
+}
+
+/**
+ * Find the parent of a node
+ */
+function findParent(node, target) {
+    if (!node.children) return null;
+    for (const child of node.children) {
+        if (child === target) return node;
+        const parent = findParent(child, target);
+        if (parent) return parent;
+    }
+    return null;
+}
+
+/**
+ * Copy a node from a patch, re-indenting it from its indentation in the patch to its new one
+ */
+function cloneNode(node, fromIndent, toIndent, eol) {
+    const clone = { ...node };
+    if (node.type === 'text') {
+        clone.text = node.text.replace(/\r?\n/g, '\n').split('\n' + fromIndent).join('\n' + toIndent).replace(/\n/g, eol);
+    }
+    if (node.children) {
+        clone.attrs = node.attrs.map(a => ({ ...a }));
+        clone.children = node.children.map(c => cloneNode(c, fromIndent, toIndent, eol));
+    }
+    return clone;
+}
+
+/**
+ * Get the nodes to insert from a patch operation with their indentation in the patch
+ */
+function getPatchContent(op) {
+    const nodes = [];
+    op.children.forEach((child, i) => {
+        if (isWhitespace(child) || child.type === 'comment') return;
+        const indent = indentBefore(op, i);
+        nodes.push({ node: child, indent: indent !== null ? indent : '' });
+    });
+    return nodes;
+}
+
+/**
+ * Insert a node into a parent at an index, adding whitespace so it's on its own line
+ */
+function insertNode(parent, index, node, indent, parentIndent, eol) {
+    const ws = text => ({ type: 'text', text });
+    const elements = parent.children.filter(c => !isWhitespace(c));
+    if (elements.length === 0) {
+        // First child, put the element on its own line between the start and end tags
+        parent.children = [ws(eol + indent), node, ws(eol + parentIndent)];
+        parent.selfClosing = false;
+        parent.raw = parent.raw && !parent.raw.endsWith('/>') ? parent.raw : null;
+        return;
+    }
+    if (!parent.children.some(c => isWhitespace(c) && c.text.includes('\n'))) {
+        // Keep inline content inline
+        parent.children.splice(Math.min(index, parent.children.length), 0, node);
+        return;
+    }
+
+    let at = index;
+    if (at >= parent.children.length) {
+        // Append before the whitespace in front of the end tag
+        at = isWhitespace(parent.children[parent.children.length - 1]) ? parent.children.length - 1 : parent.children.length;
+    } else if (at === 0 && isWhitespace(parent.children[0])) {
+        at = 1;
+    }
+    if (at > 0 && !isWhitespace(parent.children[at - 1])) {
+        parent.children.splice(at, 0, ws(eol + indent), node);
+    } else {
+        parent.children.splice(at, 0, node, ws(eol + indent));
+    }
+}
+
+/**
+ * Remove a node from its parent along with the whitespace in front of it
+ */
+function removeNode(parent, node) {
+    const index = parent.children.indexOf(node);
+    if (index === -1) return;
+    const prev = parent.children[index - 1];
+    if (prev && isWhitespace(prev) && prev.text.includes('\n')) {
+        parent.children.splice(index - 1, 2);
+    } else {
+        parent.children.splice(index, 1);
+    }
+}
+
+/**
+ * Apply an add operation, elements that already exist are skipped and ones with the same key are replaced
+ */
+function applyAdd(doc, op, targets, ctx) {
+    if (targets.length === 0) {
+        throw new Error('No element matches');
+    }
+    const target = targets[0];
+    if (target.attribute || target.text) {
+        throw new Error('Can only add to an element');
+    }
+
+    const type = getAttribute(op, 'type');
+    if (type) {
+        if (!type.startsWith('@')) {
+            throw new Error(`Unsupported type '${type}'`);
+        }
+        setAttribute(target.element, type.substring(1), textContent(op).trim());
+        return;
+    }
+
+    const pos = getAttribute(op, 'pos') || 'append';
+    if (!['append', 'prepend', 'before', 'after'].includes(pos)) {
+        throw new Error(`Unsupported pos '${pos}'`);
+    }
+    const sibling = pos === 'before' || pos === 'after';
+    if (sibling && (!target.parent || target.parent.type === 'document')) {
+        throw new Error(`Can't add ${pos} the root element`);
+    }
+    const parent = sibling ? target.parent : target.element;
+    const indent = sibling ? elementIndent(doc, target.element) : childIndent(doc, parent, ctx.unit);
+    const parentIndent = elementIndent(doc, parent);
+
+    let index = pos === 'prepend' ? 0
+        : pos === 'before' ? parent.children.indexOf(target.element)
+        : pos === 'after' ? parent.children.indexOf(target.element) + 1
+        : parent.children.length;
+
+    for (const { node, indent: fromIndent } of getPatchContent(op)) {
+        const clone = cloneNode(node, fromIndent, indent, ctx.eol);
+        if (clone.type === 'element') {
+            const siblings = parent.children.filter(c => c.type === 'element');
+            if (siblings.some(c => sameElement(c, clone))) continue;
+            const existing = siblings.find(c => sameKey(c, clone));
+            if (existing) {
+                parent.children[parent.children.indexOf(existing)] = clone;
+                continue;
+            }
+        }
+        insertNode(parent, index, clone, indent, parentIndent, ctx.eol);
+        if (pos !== 'append') index = parent.children.indexOf(clone) + 1;
+    }
+}
+
+/**
+ * Apply a replace operation to an element, attribute or text
+ */
+function applyReplace(doc, op, targets, ctx) {
+    if (targets.length === 0) {
+        throw new Error('No element matches');
+    }
+    for (const target of targets) {
+        if (target.attribute) {
+            setAttribute(target.element, target.attribute, textContent(op).trim());
+        } else if (target.text) {
+            const value = textContent(op).trim();
+            if (textContent(target.element) !== value) {
+                target.element.children = [{ type: 'text', text: encodeXml(value) }];
+                if (target.element.selfClosing) {
+                    target.element.selfClosing = false;
+                    target.element.raw = null;
+                }
+            }
+        } else {
+            const content = getPatchContent(op).filter(c => c.node.type === 'element');
+            if (content.length !== 1) {
+                throw new Error('Replacing an element requires exactly one element');
+            }
+            const clone = cloneNode(content[0].node, content[0].indent, elementIndent(doc, target.element), ctx.eol);
+            if (!sameElement(target.element, clone)) {
+                target.parent.children[target.parent.children.indexOf(target.element)] = clone;
+            }
+        }
+    }
+}
+
+/**
+ * Apply a remove operation, does nothing if it was already removed
+ */
+function applyRemove(doc, op, targets) {
+    for (const target of targets) {
+        if (target.attribute) {
+            target.element.attrs = target.element.attrs.filter(a => a.name !== target.attribute);
+            target.element.raw = null;
+        } else if (target.text) {
+            target.element.children = target.element.children.filter(c => c.type !== 'text' && c.type !== 'cdata');
+        } else {
+            removeNode(target.parent, target.element);
+        }
+    }
+}
+
+/**
+ * Apply an XML patch document to XML text and return the patched text. Patches use RFC 5261 style
+ * <add>, <replace> and <remove> operations with an XPath `sel`, and are idempotent so re-applying them
+ * doesn't add the same element twice.
+ */
+function applyXmlPatch(text, patchText) {
+    const doc = parseXml(text);
+    const patch = parseXml(patchText);
+    const root = patch.children.find(c => c.type === 'element');
+    if (!root) {
+        throw new Error('XML Patch must have a root element, e.g. <diff>');
+    }
+
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const indents = text.match(/\n([ \t]+)</);
+    const ctx = { eol, unit: indents ? (indents[1].startsWith('\t') ? '\t' : indents[1]) : '  ' };
+
+    const ops = root.children.filter(c => c.type === 'element');
+    ops.forEach((op, i) => {
+        const name = localName(op.name);
+        const sel = getAttribute(op, 'sel');
+        try {
+            if (!sel) {
+                throw new Error("Missing 'sel' attribute");
+            }
+            const targets = selectXml(doc, sel);
+            switch (name) {
+                case 'add':
+                    applyAdd(doc, op, targets, ctx);
+                    break;
+                case 'replace':
+                    applyReplace(doc, op, targets, ctx);
+                    break;
+                case 'remove':
+                    applyRemove(doc, op, targets);
+                    break;
+                default:
+                    throw new Error(`Unknown operation '${name}'`);
+            }
+        } catch (e) {
+            throw new Error(`XML Patch op #${i} '${name}' at '${sel}' failed: ${e.message}`);
+        }
+    });
+    return serializeXml(doc);
+}
+
+module.exports = {
+    parseXml,
+    serializeXml,
+    selectXml,
+    applyXmlPatch,
+};
@@ -1,5 +1,20 @@
 const assert = require('assert');
-const { parseGistLinks } = require('../lib/index.js');
+const { parseGistLinks, lintGistLinks, resolveGistPlan, findManifestEntry, parseGistVars, replaceVars, parseFileConditions, matchesTargetFramework, globToRegex, getCaseReplacements, applyReplaceToken, parseArgs, parseJsonPointer, applyJsonPatch, createMixer, createPrompt, httpRequest, printGistLinks } = require('../lib/index.js');
+const { diffLines, unifiedDiff, merge3 } = require('../lib/diff.js');
+const { extractZip, extractTar, stripCommonRoot } = require('../lib/archive.js');
+const { applyXmlPatch } = require('../lib/xml.js');
+const { applyInjections } = require('../lib/inject.js');
+const { fuzzyMatch, filterLinks } = require('../lib/picker.js');
+const { parseSearchQuery, searchLinks, highlightTerms } = require('../lib/search.js');
+const { loadConfig, mergeConfig } = require('../lib/config.js');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { PassThrough } = require('stream');
 
 // Test parseGistLinks
 console.log('Testing parseGistLinks...');
@@ -54,6 +69,20 @@ assert.strictEqual(repoLinks.length, 1);
 assert.strictEqual(repoLinks[0].name, 'blazor');
 assert.strictEqual(repoLinks[0].user, 'user');
 assert.strictEqual(repoLinks[0].repo, 'repo');
+assert.strictEqual(repoLinks[0].ref, null);
+assert.strictEqual(repoLinks[0].path, null);
+
+// Repo URLs with refs and subfolders
+const refLinks = parseGistLinks([
+    ` - [auth](https://github.com/user/repo/tree/v2/addins/auth) {} \`auth\` Auth add-in`,
+    ` - [db](https://github.com/user/repo#main) {} \`db\` Db add-in`,
+].join('\n'));
+assert.strictEqual(refLinks[0].repo, 'repo');
+assert.strictEqual(refLinks[0].ref, 'v2');
+assert.strictEqual(refLinks[0].path, 'addins/auth');
+assert.strictEqual(refLinks[1].repo, 'repo');
+assert.strictEqual(refLinks[1].ref, 'main');
+assert.strictEqual(refLinks[1].path, null);
 
 console.log('✓ Edge cases tests passed');
 
@@ -70,5 +99,1435 @@ assert.strictEqual(gistlynLinks[0].user, 'ServiceStack', 'gistlyn should be norm
 
 console.log('✓ User normalization tests passed');
 
-console.log('✓ All tests passed!');
+// Test registry linting
+console.log('Testing lintGistLinks...');
+
+const gistA = 'a'.repeat(32);
+const lintMd = `# Registry
+
+ - [db-sqlite](https://gist.github.com/gistlyn/${gistA}) {to:"$HOST"} \`db\` SQLite
+ - [DbSqlite](https://gist.github.com/gistlyn/${gistA}) {to:"../out",dep:"redis"} \`db Stray tick
+ -[broken](./broken) No space
+ - [open](./open) {to:"." \`db\` Unterminated
+ - [bad](https://gist.github.com/gistlyn/not-a-gist) {to:"$APP",deps:"ghost"} Bad
+ - [repo](https://github.com/ServiceStack/add-in/tree/main/addins) {conflicts:"db-sqlite"} Repo
+`;
+const lint = lintGistLinks(lintMd);
+assert.deepStrictEqual(lint.entries.map(e => [e.line, e.link.name, e.validUrl]),
+    [[3, 'db-sqlite', true], [4, 'DbSqlite', true], [6, 'open', true], [7, 'bad', false], [8, 'repo', true]]);
+assert.deepStrictEqual(lint.problems.map(p => p.line), [4, 4, 4, 4, 5, 6, 7, 7, 7]);
+assert.match(lint.problems[0].message, /Unterminated '`'/);
+assert.match(lint.problems[1].message, /Unknown modifier 'dep'/);
+assert.match(lint.problems[2].message, /Invalid to:"\.\.\/out"/);
+assert.match(lint.problems[3].message, /'DbSqlite' collides with 'db-sqlite' on line 3/);
+assert.match(lint.problems[4].message, /Could not parse '-\[broken\]/);
+assert.match(lint.problems[5].message, /Unterminated '\{'/);
+assert.deepStrictEqual(lint.problems.slice(6).map(p => p.message.split(' ')[0]), ['Malformed', 'Invalid', "'bad'"]);
+assert.deepStrictEqual(lintGistLinks(testMd).problems, []);
+
+// Locations are checked with the same rules used to resolve them when applying, absolute paths only warn as they're platform specific
+for (const [to, expected] of [
+    ['.', null],
+    ['$HOST', null],
+    ['$HOME/.config', null],
+    ['src/', null],
+    ['MyApp.csproj', null],
+    ['*.csproj', null],
+    ['$APP', 'problem'],
+    ['../out', 'problem'],
+    ['./', 'problem'],
+    ['src/Web/', 'problem'],
+    ['.github/', 'problem'],
+    ['src/MyApp.csproj', 'problem'],
+    ['/var/www', 'warning'],
+    ['C:\\inetpub', 'warning'],
+]) {
+    const { problems, warnings } = lintGistLinks(` - [a](./a) {to:"${to}"} A`);
+    assert.strictEqual(problems.length ? 'problem' : (warnings.length ? 'warning' : null), expected, to);
+}
+assert.deepStrictEqual(lintGistLinks(' - [a](./a) {to:"./"} A').problems[0].message,
+    `Invalid to:"./" of 'a', expected a single folder name ending in '/', e.g. 'src/'`);
+assert.deepStrictEqual(lintGistLinks(' - [a](./a) {to:"/var/www"} A').warnings,
+    [{ line: 1, message: `Invalid to:"/var/www" of 'a', absolute paths can't be used on Windows` }]);
+
+console.log('✓ lintGistLinks tests passed');
+
+// Test dependency resolution
+console.log('Testing resolveGistPlan...');
+
+const depLinks = parseGistLinks(`
+ - [db-sqlite](https://gist.github.com/gistlyn/a1) {to:"$HOST",conflicts:"db-postgres"} \`db\` SQLite
+ - [db-postgres](https://gist.github.com/gistlyn/a2) {to:"$HOST"} \`db\` PostgreSQL
+ - [auth](https://gist.github.com/gistlyn/a3) {to:"$HOST",deps:"db-sqlite"} \`auth\` Auth
+ - [autoquery](https://gist.github.com/gistlyn/a4) {deps:"db-sqlite"} \`db\` AutoQuery
+ - [autoquery-ui](https://gist.github.com/gistlyn/a5) {deps:"autoquery,auth"} \`ui\` AutoQuery UI
+ - [cycle-a](https://gist.github.com/gistlyn/a6) {deps:"cycle-b"} \`\` A
+ - [cycle-b](https://gist.github.com/gistlyn/a7) {deps:"cycle-a"} \`\` B
+`);
+assert.deepStrictEqual(depLinks[2].deps, ['db-sqlite']);
+assert.deepStrictEqual(depLinks[0].conflicts, ['db-postgres']);
+assert.strictEqual(depLinks[0].to, '$HOST');
+
+const byName = name => ({ alias: name, link: depLinks.find(l => l.name === name) });
+const toSummary = ({ plan, skipped }) => ({
+    plan: plan.map(p => p.alias + (p.dependencyOf ? `<${p.dependencyOf}` : '')),
+    skipped: skipped.map(s => s.alias),
+});
+
+assert.deepStrictEqual(toSummary(resolveGistPlan(depLinks, [byName('autoquery-ui')])), {
+    plan: ['db-sqlite<autoquery', 'autoquery<autoquery-ui', 'auth<autoquery-ui', 'autoquery-ui'],
+    skipped: [],
+});
+assert.deepStrictEqual(toSummary(resolveGistPlan(depLinks, [byName('auth'), 'abcdef0123456789abcd'], ['dbsqlite'])), {
+    plan: ['auth', 'abcdef0123456789abcd'],
+    skipped: ['db-sqlite'],
+});
+assert.throws(() => resolveGistPlan(depLinks, [byName('cycle-a')]), /Circular dependency between add-ins: cycle-a -> cycle-b -> cycle-a/);
+assert.throws(() => resolveGistPlan(depLinks, [byName('auth'), byName('db-postgres')]), /'db-sqlite' conflicts with 'db-postgres'/);
+assert.throws(() => resolveGistPlan(depLinks, [byName('db-postgres')], ['db-sqlite']), /already been applied/);
+
+console.log('✓ resolveGistPlan tests passed');
+
+// Test finding manifest entries
+console.log('Testing findManifestEntry...');
+
+const manifestGists = {
+    gists: [
+        { alias: 'db-redis', gistId: 'a'.repeat(32), url: `https://gist.github.com/gistlyn/${'a'.repeat(32)}` },
+        { alias: './local-addin', url: './local-addin' },
+    ]
+};
+for (const [alias, expected] of [
+    ['db-redis', 0],
+    ['DbRedis', 0],
+    ['dbredis', 0],
+    ['a'.repeat(32), 0],
+    [`https://gist.github.com/gistlyn/${'a'.repeat(32)}`, 0],
+    ['./local-addin', 1],
+    ['db', undefined],
+    ['b'.repeat(32), undefined],
+]) {
+    assert.strictEqual(findManifestEntry(manifestGists, alias), manifestGists.gists[expected], alias);
+}
+
+console.log('✓ findManifestEntry tests passed');
+
+// Test template variables
+console.log('Testing template variables...');
+
+const declaredVars = parseGistVars(JSON.stringify([
+    { name: 'DbName', description: 'Database name', default: 'app' },
+    { name: 'Port', default: 5000, pattern: '^\\d+$' },
+    { name: 'Host' },
+]), 'db');
+assert.deepStrictEqual(declaredVars.map(v => [v.name, v.description, v.default]),
+    [['DbName', 'Database name', 'app'], ['Port', '', '5000'], ['Host', '', undefined]]);
+assert.strictEqual(declaredVars[0].pattern, null);
+assert.ok(declaredVars[1].pattern.test('8080') && !declaredVars[1].pattern.test('80a'));
+
+assert.throws(() => parseGistVars('{', 'db'), /^Error: Invalid _vars in db: /);
+assert.throws(() => parseGistVars('{"name":"Port"}', 'db'), /Invalid _vars in db: expected an array of variables/);
+assert.throws(() => parseGistVars('[{"name":"Db Name"}]', 'db'), /variable #0 needs a 'name' of letters, numbers or '_'/);
+assert.throws(() => parseGistVars('[{"name":"Port"},{}]', 'db'), /variable #1 needs a 'name'/);
+assert.throws(() => parseGistVars('[{"name":"Port","pattern":"("}]', 'db'), /'Port' has an invalid pattern/);
+
+const varValues = { DbName: 'orders', Port: '8080' };
+assert.strictEqual(replaceVars('{{DbName}}.sql', varValues), 'orders.sql');
+assert.strictEqual(replaceVars('Port={{ Port }};Db={{DbName}}', varValues), 'Port=8080;Db=orders');
+assert.strictEqual(replaceVars('{{Host}} {{ Other-Name }}', varValues), '{{Host}} {{ Other-Name }}', 'Unknown names should be left alone');
+assert.strictEqual(replaceVars('{{DbName}}', null), '{{DbName}}');
+assert.strictEqual(replaceVars('', varValues), '');
+
+console.log('✓ Template variables tests passed');
+
+// Test file conditions
+console.log('Testing file conditions...');
+
+for (const [tfm, condition, expected] of [
+    ['net8.0', '>=net8.0', true],
+    ['net9.0', '>=net8.0', true],
+    ['net6.0', '>=net8.0', false],
+    ['net8.0', '>net8.0', false],
+    ['net8.0', '<=net8.0', true],
+    ['net6.0', '<net8.0', true],
+    ['net8.0', 'net8.0', true],
+    ['net8.0', '= net8.0', true],
+    ['net8.0', '!=net8.0', false],
+    ['net8.0-windows', 'net8.0', true],
+    ['netcoreapp3.1', '<net5.0', true],
+    ['NET8.0', '>=net8.0', true],
+    ['netstandard2.0', '>=netstandard2.0', true],
+    ['netstandard2.1', '<netstandard2.0', false],
+    ['net48', '>=net472', true],
+    ['net462', '>=net472', false],
+    ['net48', '>=net8.0', false],
+    ['net48', '!=net8.0', true],
+    ['netstandard2.0', 'net8.0', false],
+    ['unknown', '>=net8.0', false],
+    ['unknown', '!=net8.0', true],
+]) {
+    assert.strictEqual(matchesTargetFramework(tfm, condition), expected, `${tfm} ${condition}`);
+}
+for (const condition of ['>=', '>=net', '=>net8.0', 'net8', 'core8.0']) {
+    assert.throws(() => matchesTargetFramework('net8.0', condition), new RegExp(`Invalid targetFramework condition '${condition}'`));
+}
+
+for (const [pattern, name, expected] of [
+    ['*.cs', 'Program.cs', true],
+    ['*.cs', 'Program.csproj', false],
+    ['*.cs', 'src/Program.cs', false],
+    ['**/*.cs', 'src/Api/Program.cs', true],
+    ['src/**', 'src/Api/Program.cs', true],
+    ['src/**', 'test/Program.cs', false],
+    ['App?.cs', 'App1.cs', true],
+    ['App?.cs', 'App12.cs', false],
+    ['App?.cs', 'App/.cs', false],
+    ['wwwroot\\*.css', 'wwwroot/app.css', true],
+    ['file(1).txt', 'file(1).txt', true],
+    ['a.b', 'axb', false],
+    ['[abc]', 'a', false],
+]) {
+    assert.strictEqual(globToRegex(pattern).test(name), expected, `${pattern} ${name}`);
+}
+
+assert.deepStrictEqual(parseFileConditions('', 'db'), {});
+assert.deepStrictEqual(parseFileConditions(Buffer.from('{"Redis.cs":{"exists":"*.csproj"}}'), 'db'), { 'Redis.cs': { exists: '*.csproj' } });
+assert.deepStrictEqual(parseFileConditions('{"*.css":{"var":"UseTailwind=true","notExists":["tailwind.config.js"]}}', 'db'),
+    { '*.css': { var: 'UseTailwind=true', notExists: ['tailwind.config.js'] } });
+assert.throws(() => parseFileConditions('{', 'db'), /^Error: Invalid _conditions in db: /);
+assert.throws(() => parseFileConditions('[]', 'db'), /expected an object of file names and their conditions/);
+assert.throws(() => parseFileConditions('null', 'db'), /expected an object of file names and their conditions/);
+assert.throws(() => parseFileConditions('{"Redis.cs":{"exist":"*.csproj"}}', 'db'),
+    /Invalid _conditions in db: unknown condition 'exist' for 'Redis.cs', expected one of exists, notExists, targetFramework, var/);
+
+console.log('✓ File conditions tests passed');
+
+// Test replacements
+console.log('Testing replacements...');
+
+assert.deepStrictEqual(getCaseReplacements('Acme_Corp', 'My_App'), [
+    ['Acme_Corp', 'My_App'],
+    ['AcmeCorp', 'MyApp'],
+    ['Acme Corp', 'My App'],
+    ['acme-corp', 'my-app'],
+    ['acmecorp', 'myapp'],
+    ['acme_corp', 'my_app'],
+]);
+assert.deepStrictEqual(getCaseReplacements('AcmeCorp', 'MyApp').slice(0, 2), [['Acme_Corp', 'MyApp'], ['AcmeCorp', 'MyApp']]);
+assert.deepStrictEqual(getCaseReplacements('Acme', 'Contoso'), [['Acme', 'Contoso'], ['acme', 'contoso']], 'Single words should only be replaced once');
+
+assert.strictEqual(applyReplaceToken('acme Acme acme', ['acme', 'contoso']), 'contoso Acme contoso');
+assert.strictEqual(applyReplaceToken('Acme.Web Acme.Api', ['Acme\\.(\\w+)', 'Contoso.$1', { mode: 'regex' }]), 'Contoso.Web Contoso.Api');
+assert.strictEqual(applyReplaceToken('AcmeCorp acme-corp Acme Corp acme_corp', ['AcmeCorp', 'MyApp', { mode: 'all' }]), 'MyApp my-app My App myapp');
+assert.strictEqual(applyReplaceToken('Acme', ['Acme', 'Contoso', { glob: '*.cs' }], 'src/Acme.cs'), 'Contoso');
+assert.strictEqual(applyReplaceToken('Acme', ['Acme', 'Contoso', { glob: '*.cs' }], 'src\\Acme.cs?'), 'Contoso');
+assert.strictEqual(applyReplaceToken('Acme', ['Acme', 'Contoso', { glob: '*.cs' }], 'wwwroot/acme.js'), 'Acme');
+assert.strictEqual(applyReplaceToken('Acme', ['Acme', 'Contoso', { glob: 'src/*.cs' }], 'Acme.cs'), 'Acme');
+assert.strictEqual(applyReplaceToken('Acme', ['Acme', 'Contoso', { glob: '*.cs' }]), 'Acme', 'Scoped tokens should only apply to files');
+
+const { replaceTokens } = parseArgs([
+    '-replace', 'a=b=c',
+    '-replace-regex', '(?<=ns=)Acme\\.(\\w+)=Contoso.$1', '-in', '*.cs',
+    '--replace-regex', '[=]\\=x=eq',
+    '/replace-all', 'AcmeCorp=MyApp', '--in', 'src/**',
+    'hello',
+]).options;
+assert.deepStrictEqual(JSON.parse(JSON.stringify(replaceTokens)), [
+    ['a', 'b=c'],
+    ['(?<=ns=)Acme\\.(\\w+)', 'Contoso.$1', { mode: 'regex', glob: '*.cs' }],
+    ['[=]\\=x', 'eq', { mode: 'regex' }],
+    ['AcmeCorp', 'MyApp', { mode: 'all', glob: 'src/**' }],
+]);
+assert.deepStrictEqual(replaceTokens.map(token => token.regex && token.regex.source),
+    [undefined, '(?<=ns=)Acme\\.(\\w+)', '[=]\\=x', undefined], '-replace-regex patterns should be compiled once');
+assert.strictEqual(applyReplaceToken('ns=Acme.Web Acme.Api', replaceTokens[1], 'App.cs'), 'ns=Contoso.Web Acme.Api');
+assert.strictEqual(applyReplaceToken('ns=Acme.Web', replaceTokens[1], 'App.cs'), 'ns=Contoso.Web', 'Compiled patterns should be reusable');
+assert.strictEqual(applyReplaceToken('a==x', replaceTokens[2]), 'aeq');
+
+assert.throws(() => parseArgs(['-replace', 'ab']), /Invalid -replace usage/);
+assert.throws(() => parseArgs(['-replace']), /Missing -replace value/);
+assert.throws(() => parseArgs(['-replace-regex', 'ab']), /Invalid -replace-regex usage/);
+assert.throws(() => parseArgs(['-replace-regex', '(a=b']), /Invalid -replace-regex pattern '\(a'/);
+assert.throws(() => parseArgs(['-replace-regex', '[a=b']), /Invalid -replace-regex pattern '\[a'/);
+assert.throws(() => parseArgs(['-replace-regex', 'a)=b']), /Invalid -replace-regex pattern 'a\)'/);
+assert.throws(() => parseArgs(['-replace-all', '=MyApp']), /Invalid -replace-all usage/);
+assert.throws(() => parseArgs(['-replace-all']), /Missing -replace-all value/);
+assert.throws(() => parseArgs(['-in', '*.cs', '-replace', 'a=b']), /-in must follow a -replace, -replace-regex or -replace-all/);
+assert.throws(() => parseArgs(['-replace', 'a=b', '-in']), /Missing -in value/);
+
+console.log('✓ Replacements tests passed');
+
+// Test JSON Patch
+console.log('Testing applyJsonPatch...');
+
+assert.deepStrictEqual(parseJsonPointer(''), []);
+assert.deepStrictEqual(parseJsonPointer('/a~1b/m~0n/0'), ['a/b', 'm~n', '0']);
+assert.throws(() => parseJsonPointer('a/b'), /Invalid JSON Pointer/);
+
+const pkg = { name: 'app', scripts: { build: 'vite build' }, plugins: ['a', 'b'] };
+const patched = applyJsonPatch(pkg, [
+    { op: 'add', path: '/scripts/dev', value: 'vite' },
+    { op: 'add', path: '/plugins/-', value: 'c' },
+    { op: 'add', path: '/plugins/0', value: 'first' },
+    { op: 'replace', path: '/name', value: 'web' },
+    { op: 'copy', from: '/scripts/dev', path: '/scripts/start' },
+    { op: 'move', from: '/scripts/build', path: '/scripts/publish' },
+    { op: 'remove', path: '/plugins/1' },
+    { op: 'add', path: '/a~1b', value: 1 },
+    { op: 'test', path: '/plugins', value: ['first', 'b', 'c'] },
+]);
+assert.deepStrictEqual(patched, {
+    name: 'web',
+    scripts: { dev: 'vite', start: 'vite', publish: 'vite build' },
+    plugins: ['first', 'b', 'c'],
+    'a/b': 1,
+});
+assert.deepStrictEqual(pkg.plugins, ['a', 'b'], 'Original document should not be modified');
+
+// Missing parent objects are created for 'add'
+assert.deepStrictEqual(applyJsonPatch({}, [{ op: 'add', path: '/Logging/LogLevel', value: 'Debug' }]),
+    { Logging: { LogLevel: 'Debug' } });
+
+assert.throws(() => applyJsonPatch(pkg, [
+    { op: 'add', path: '/scripts/dev', value: 'vite' },
+    { op: 'test', path: '/name', value: 'other' },
+]), /op #1 'test' at '\/name' failed/);
+assert.throws(() => applyJsonPatch(pkg, [{ op: 'replace', path: '/missing', value: 1 }]), /op #0 'replace'/);
+assert.throws(() => applyJsonPatch(pkg, [{ op: 'add', path: '/plugins/5', value: 1 }]), /out of bounds/);
+assert.throws(() => applyJsonPatch(pkg, [{ op: 'move', from: '/scripts', path: '/scripts/x' }]), /children/);
+assert.throws(() => applyJsonPatch(pkg, [{ op: 'merge', path: '/x' }]), /Unknown operation/);
+
+console.log('✓ applyJsonPatch tests passed');
+
+// Test XML Patch
+console.log('Testing applyXmlPatch...');
+
+const csproj = `<Project Sdk="Microsoft.NET.Sdk.Web">
+
+  <PropertyGroup>
+    <TargetFramework>net6.0</TargetFramework>
+    <Nullable>enable</Nullable>
+  </PropertyGroup>
+
+  <ItemGroup>
+    <PackageReference Include="ServiceStack" Version="8.0.0" />
+  </ItemGroup>
+
+</Project>
+`;
+const csprojPatch = `<diff>
+  <add sel="/Project/ItemGroup[PackageReference]">
+    <PackageReference Include="ServiceStack.Redis" Version="8.1.0" />
+    <PackageReference Include="ServiceStack" Version="8.1.0" />
+  </add>
+  <replace sel="/Project/PropertyGroup/TargetFramework/text()">net8.0</replace>
+  <remove sel="/Project/PropertyGroup/Nullable" />
+  <add sel="/Project/PropertyGroup" type="@Label">Main</add>
+</diff>`;
+const patchedCsproj = applyXmlPatch(csproj, csprojPatch);
+assert.strictEqual(patchedCsproj, `<Project Sdk="Microsoft.NET.Sdk.Web">
+
+  <PropertyGroup Label="Main">
+    <TargetFramework>net8.0</TargetFramework>
+  </PropertyGroup>
+
+  <ItemGroup>
+    <PackageReference Include="ServiceStack" Version="8.1.0" />
+    <PackageReference Include="ServiceStack.Redis" Version="8.1.0" />
+  </ItemGroup>
+
+</Project>
+`);
+assert.strictEqual(applyXmlPatch(patchedCsproj, csprojPatch), patchedCsproj, 'Re-applying a patch should not change anything');
+
+// Elements are inserted on their own line using the file's indentation and line endings
+const webConfig = '<?xml version="1.0" encoding="utf-8"?>\r\n<configuration>\r\n\t<appSettings/>\r\n</configuration>\r\n';
+assert.strictEqual(applyXmlPatch(webConfig, '<diff><add sel="//appSettings"><add key="Redis" value="localhost" /></add></diff>'),
+    '<?xml version="1.0" encoding="utf-8"?>\r\n<configuration>\r\n\t<appSettings>\r\n\t\t<add key="Redis" value="localhost" />\r\n\t</appSettings>\r\n</configuration>\r\n');
+
+assert.strictEqual(applyXmlPatch('<a><b id="1"/><b id="2"/></a>', '<diff><add sel="/a/b[@id=\'2\']" pos="before"><c/></add></diff>'),
+    '<a><b id="1"/><c/><b id="2"/></a>');
+assert.strictEqual(applyXmlPatch('<a x="1"/>', '<diff><remove sel="/a/@x"/><remove sel="/a/missing"/></diff>'), '<a />');
+
+assert.throws(() => applyXmlPatch(csproj, '<diff><add sel="/Project/Missing"><X /></add></diff>'),
+    /XML Patch op #0 'add' at '\/Project\/Missing' failed: No element matches/);
+assert.throws(() => applyXmlPatch(csproj, '<diff><merge sel="/Project" /></diff>'), /Unknown operation/);
+assert.throws(() => applyXmlPatch('<a><b></a>', '<diff />'), /Invalid XML/);
+
+console.log('✓ applyXmlPatch tests passed');
+
+// Test code injection
+console.log('Testing applyInjections...');
+
+const program = `var builder = WebApplication.CreateBuilder(args);
+
+#region Plugins
+    services.AddPlugin(new AuthFeature());
+#endregion
+
+var app = builder.Build();
+app.Run();
+`;
+const injections = [
+    { after: 'WebApplication.CreateBuilder(args);', insert: 'builder.AddRedis();' },
+    { before: '^app\\.Run\\(\\)', regex: true, insert: ['app.UseServiceStack(new AppHost(), options => {', '    options.MapEndpoints();', '});'] },
+    { region: 'Plugins', insert: 'services.AddPlugin(new RedisFeature());' },
+];
+const injected = applyInjections(program, injections);
+assert.strictEqual(injected, `var builder = WebApplication.CreateBuilder(args);
+builder.AddRedis();
+
+#region Plugins
+    services.AddPlugin(new AuthFeature());
+    services.AddPlugin(new RedisFeature());
+#endregion
+
+var app = builder.Build();
+app.UseServiceStack(new AppHost(), options => {
+    options.MapEndpoints();
+});
+app.Run();
+`);
+assert.strictEqual(applyInjections(injected, injections), injected, 'Re-applying injections should not change anything');
+
+// Snippets use the anchor's indentation and the file's line endings
+assert.strictEqual(applyInjections('class A {\r\n    void Configure() {\r\n    }\r\n}',
+    { after: 'void Configure()', insert: '        Plugins.Add(new CorsFeature());' }),
+    'class A {\r\n    void Configure() {\r\n    Plugins.Add(new CorsFeature());\r\n    }\r\n}');
+assert.strictEqual(applyInjections('// #region Routes\n// #endregion\n', { region: 'Routes', position: 'start', insert: 'routes();' }),
+    '// #region Routes\nroutes();\n// #endregion\n');
+
+// Anchors are plain text unless they're marked as a regex
+assert.strictEqual(applyInjections('app.MapGet("/api/", handler);\n', { after: '/api/', insert: 'app.MapHealthChecks();' }),
+    'app.MapGet("/api/", handler);\napp.MapHealthChecks();\n');
+assert.strictEqual(applyInjections('APP.RUN();\n', { before: '^app\\.run', regex: 'i', insert: 'build();' }), 'build();\nAPP.RUN();\n');
+assert.throws(() => applyInjections(program, { before: '^app\\.Run\\(', insert: 'x' }), /Anchor not found/);
+assert.throws(() => applyInjections(program, { before: 'app.Run(', regex: true, insert: 'x' }), /Invalid regex anchor \/app\.Run\(\/:/);
+assert.throws(() => applyInjections(program, { before: 'x', regex: 'yes!', insert: 'x' }), /Invalid regex "yes!", expected true or regex flags like 'i'/);
+
+assert.throws(() => applyInjections(program, { after: 'app.UseRouting();', insert: 'x' }),
+    /Injection #0 after 'app.UseRouting\(\);' failed: Anchor not found/);
+assert.throws(() => applyInjections(program, [{ region: 'Services', insert: 'x' }]), /in region 'Services' failed: Region not found/);
+assert.throws(() => applyInjections(program, { before: 'a', after: 'b', insert: 'x' }), /exactly one of/);
+
+console.log('✓ applyInjections tests passed');
+
+// Test fuzzy search
+console.log('Testing fuzzy search...');
+
+assert.deepStrictEqual(fuzzyMatch('rds', 'redis').positions, [0, 2, 4]);
+assert.strictEqual(fuzzyMatch('sdr', 'redis'), null);
+assert.ok(fuzzyMatch('ss', 'ServiceStack').score > fuzzyMatch('ss', 'classes').score, 'Word starts should rank higher');
+
+const pickLinks = parseGistLinks(testMd);
+assert.deepStrictEqual(filterLinks(pickLinks, '').map(r => r.link.name), ['init', 'redis', 'sqlite', 'auth']);
+assert.deepStrictEqual(filterLinks(pickLinks, 'db').map(r => r.link.name), ['redis', 'sqlite']);
+assert.deepStrictEqual(filterLinks(pickLinks, 'lite').map(r => r.link.name)[0], 'sqlite');
+assert.deepStrictEqual(filterLinks(pickLinks, 'auth conf').map(r => r.link.name), ['auth']);
+assert.deepStrictEqual(filterLinks(pickLinks, 'xyz'), []);
+
+console.log('✓ Fuzzy search tests passed');
+
+// Test search
+console.log('Testing search...');
+
+assert.deepStrictEqual(parseSearchQuery('Redis by:@ServiceStack tag:db,cache'), {
+    terms: ['redis'],
+    filters: [{ field: 'by', value: '@servicestack' }, { field: 'tag', value: 'db,cache' }]
+});
+assert.deepStrictEqual(parseSearchQuery('http://localhost').terms, ['http://localhost']);
+
+const searchNames = (query, files) => searchLinks(pickLinks, query, files).map(r => r.link.name);
+assert.deepStrictEqual(searchNames('db'), ['redis', 'sqlite']);
+assert.deepStrictEqual(searchNames('sqlite'), ['sqlite'], 'Name match should rank before description match');
+assert.deepStrictEqual(searchNames('ormlite sqlite'), ['sqlite'], 'All terms should match');
+assert.deepStrictEqual(searchNames('ServiceStack'), ['init', 'redis', 'auth', 'sqlite'], 'Author match should rank last');
+assert.deepStrictEqual(searchNames('tag:lite'), ['sqlite']);
+assert.deepStrictEqual(searchNames('tag:auth,lite'), ['sqlite', 'auth'], 'Filter-only queries keep registry order');
+assert.strictEqual(searchNames('by:@servicestack').length, 4);
+assert.deepStrictEqual(searchNames('by:someone'), []);
+assert.deepStrictEqual(searchNames('to:$HOST'), ['redis', 'sqlite', 'auth']);
+assert.deepStrictEqual(searchNames('to:host'), ['redis', 'sqlite', 'auth']);
+assert.deepStrictEqual(searchNames('xyz'), []);
+
+const searchFiles = new Map([['redis', ['Configure.Redis.cs']], ['auth', ['Configure.Auth.cs', 'Auth.cs']]]);
+assert.deepStrictEqual(searchNames('configure', searchFiles), ['auth', 'redis'], 'Description match should rank before file match');
+const fileResult = searchLinks(pickLinks, 'auth.cs', searchFiles)[0];
+assert.strictEqual(fileResult.link.name, 'auth');
+assert.deepStrictEqual(fileResult.files, ['Configure.Auth.cs', 'Auth.cs']);
+assert.strictEqual(fileResult.index, pickLinks.findIndex(l => l.name === 'auth'), 'Results keep their registry index');
+
+assert.strictEqual(highlightTerms('Use OrmLite with SQLite', ['lite']), 'Use Orm\x1b[1;33mLite\x1b[22;39m with SQ\x1b[1;33mLite\x1b[22;39m');
+assert.strictEqual(highlightTerms('a.b', ['.']), 'a\x1b[1;33m.\x1b[22;39mb');
+
+console.log('✓ Search tests passed');
+
+// Test unified diff
+console.log('Testing unifiedDiff...');
+
+assert.strictEqual(unifiedDiff('a\nb\n', 'a\nb\n'), '', 'Same text should have no diff');
+assert.deepStrictEqual(diffLines(['a', 'b', 'c'], ['a', 'c', 'd']).map(op => op.type + op.line),
+    [' a', '-b', ' c', '+d']);
+
+const oldLines = Array.from({ length: 15 }, (_, i) => String(i + 1));
+const newLines = oldLines.slice();
+newLines[1] = '2x';
+newLines.push('16');
+assert.strictEqual(unifiedDiff(oldLines.join('\n') + '\n', newLines.join('\n') + '\n', 'a/f', 'b/f'), [
+    '--- a/f', '+++ b/f',
+    '@@ -1,5 +1,5 @@', ' 1', '-2', '+2x', ' 3', ' 4', ' 5',
+    '@@ -13,3 +13,4 @@', ' 13', ' 14', ' 15', '+16',
+].join('\n') + '\n');
+assert.strictEqual(unifiedDiff('', 'x\n', '/dev/null', 'b/new'), '--- /dev/null\n+++ b/new\n@@ -0,0 +1,1 @@\n+x\n');
+
+console.log('✓ unifiedDiff tests passed');
+
+// Test three-way merge
+console.log('Testing merge3...');
+
+const mergeBase = 'a\nb\nc\nd\ne\n';
+assert.deepStrictEqual(merge3('a\nB\nc\nd\ne\n', mergeBase, 'a\nb\nc\nD\ne\nf\n'),
+    { text: 'a\nB\nc\nD\ne\nf\n', conflicts: 0 }, 'Non-overlapping changes should merge cleanly');
+assert.deepStrictEqual(merge3('a\nX\nc\nd\ne\n', mergeBase, 'a\nX\nc\nd\ne\n'),
+    { text: 'a\nX\nc\nd\ne\n', conflicts: 0 }, 'Identical changes should merge cleanly');
+assert.deepStrictEqual(merge3('a\nX\nc\nd\ne\n', mergeBase, 'a\nY\nc\nd\ne\n', 'local', 'remote'), {
+    text: 'a\n<<<<<<< local\nX\n=======\nY\n>>>>>>> remote\nc\nd\ne\n',
+    conflicts: 1,
+});
+assert.deepStrictEqual(merge3(mergeBase, mergeBase, 'a\nb\nd\ne\n'), { text: 'a\nb\nd\ne\n', conflicts: 0 });
+
+console.log('✓ merge3 tests passed');
+
+// Test archive readers
+console.log('Testing archives...');
+
+function createTar(entries) {
+    const blocks = [];
+    for (const [name, content] of entries) {
+        const data = Buffer.from(content);
+        const header = Buffer.alloc(512);
+        header.write(name, 0);
+        header.write(data.length.toString(8).padStart(11, '0'), 124);
+        header.write('0', 156);
+        header.write('ustar', 257);
+        blocks.push(header, data, Buffer.alloc((512 - data.length % 512) % 512));
+    }
+    return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+function createZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, content] of entries) {
+        const nameBuf = Buffer.from(name);
+        const data = zlib.deflateRawSync(Buffer.from(content));
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt16LE(nameBuf.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt16LE(nameBuf.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBuf, data);
+        centrals.push(central, nameBuf);
+        offset += local.length + nameBuf.length + data.length;
+    }
+    const centralDir = Buffer.concat(centrals);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(entries.length, 10);
+    eocd.writeUInt32LE(centralDir.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, centralDir, eocd]);
+}
+
+const archiveEntries = [['addin/MyApp.cs', 'namespace MyApp;'], ['addin/wwwroot/app.js', 'app()']];
+const toText = files => files.map(f => [f.path, f.data.toString()]);
+
+assert.deepStrictEqual(toText(extractTar(createTar(archiveEntries))), archiveEntries);
+assert.deepStrictEqual(toText(extractTar(zlib.gzipSync(createTar(archiveEntries)))), archiveEntries);
+assert.deepStrictEqual(toText(extractZip(createZip(archiveEntries))), archiveEntries);
+assert.deepStrictEqual(toText(stripCommonRoot(extractZip(createZip(archiveEntries)))),
+    [['MyApp.cs', 'namespace MyApp;'], ['wwwroot/app.js', 'app()']]);
+assert.deepStrictEqual(toText(stripCommonRoot([{ path: 'a/b.txt', data: Buffer.from('') }, { path: 'c.txt', data: Buffer.from('') }])),
+    [['a/b.txt', ''], ['c.txt', '']]);
+assert.throws(() => extractZip(Buffer.from('not a zip')), /end of central directory/);
+
+console.log('✓ Archive tests passed');
+
+// Test config files
+console.log('Testing config...');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'add-in-config-'));
+const configHome = path.join(configDir, 'home');
+const configProject = path.join(configDir, 'project');
+fs.mkdirSync(configHome);
+fs.mkdirSync(path.join(configProject, 'src', 'App'), { recursive: true });
+fs.writeFileSync(path.join(configHome, '.add-inrc.json'), JSON.stringify({ name: 'UserApp', preserve: true }));
+fs.writeFileSync(path.join(configProject, 'package.json'), JSON.stringify({
+    name: 'project',
+    'add-in': { source: './mix.md', name: 'Acme.Web', replace: { Acme: 'Contoso' }, out: 'src', initAllowlist: [' npm install '] }
+}));
+
+try {
+    const config = loadConfig({ cwd: path.join(configProject, 'src', 'App'), home: configHome });
+    const packageFile = path.join(configProject, 'package.json');
+    assert.deepStrictEqual(config.options, {
+        projectName: 'Acme.Web',
+        preserve: true,
+        source: path.join(configProject, 'mix.md'),
+        replaceTokens: [['Acme', 'Contoso']],
+        outDir: path.join(configProject, 'src'),
+        initAllowlist: ['npm install'],
+    });
+    assert.strictEqual(config.origins.projectName, packageFile);
+    assert.strictEqual(config.origins.preserve, path.join(configHome, '.add-inrc.json'));
+
+    // A package.json without an "add-in" key is skipped
+    assert.deepStrictEqual(loadConfig({ cwd: configDir, home: null }), { options: {}, origins: {} });
+
+    // So is a malformed package.json of another project passed on the way up
+    fs.writeFileSync(path.join(configProject, 'src', 'package.json'), '{ "name": ');
+    assert.strictEqual(loadConfig({ cwd: path.join(configProject, 'src', 'App'), home: null }).options.projectName, 'Acme.Web');
+    fs.rmSync(path.join(configProject, 'src', 'package.json'));
+
+    // Command line options override config, MIX_SOURCE overrides a configured source
+    const merged = mergeConfig({ projectName: 'Cli', replaceTokens: [] }, config, { MIX_SOURCE: 'abc' });
+    assert.strictEqual(merged.options.projectName, 'Cli');
+    assert.strictEqual(merged.options.source, 'abc');
+    assert.deepStrictEqual(merged.options.replaceTokens, [['Acme', 'Contoso']]);
+    assert.deepStrictEqual(merged.origins, {
+        source: 'MIX_SOURCE',
+        projectName: 'command line',
+        replaceTokens: packageFile,
+        outDir: packageFile,
+        preserve: path.join(configHome, '.add-inrc.json'),
+        initAllowlist: packageFile,
+    });
+
+    // Registries can have prefixes, relative paths are still resolved from the config file
+    fs.writeFileSync(path.join(configProject, '.add-inrc.json'), JSON.stringify({ source: ['ss=abc', 'acme=../mix.md'] }));
+    assert.deepStrictEqual(loadConfig({ cwd: configProject, home: null }).options.source, ['ss=abc', `acme=${path.join(configDir, 'mix.md')}`]);
+
+    fs.writeFileSync(path.join(configProject, '.add-inrc.json'), JSON.stringify({ preserve: 'yes' }));
+    assert.throws(() => loadConfig({ cwd: configProject, home: null }), /'preserve' must be true or false/);
+    fs.writeFileSync(path.join(configProject, '.add-inrc.json'), JSON.stringify({ replaceTokens: {} }));
+    assert.throws(() => loadConfig({ cwd: configProject, home: null }), /unknown setting 'replaceTokens'/);
+} finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+}
+
+console.log('✓ Config tests passed');
+
+// Test --json and --ndjson keep stdout for JSON, with everything else on stderr
+console.log('Testing JSON output...');
+
+const jsonDir = fs.mkdtempSync(path.join(os.tmpdir(), 'add-in-json-'));
+const runCli = (...args) => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'add-in.js'), '-s', '../mix.md', ...args], {
+        cwd: path.join(jsonDir, 'App'),
+        env: { ...process.env, HOME: jsonDir, USERPROFILE: jsonDir, MIX_CACHE_DIR: path.join(jsonDir, 'cache') },
+        encoding: 'utf8',
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+};
+
+try {
+    fs.mkdirSync(path.join(jsonDir, 'hello'));
+    fs.mkdirSync(path.join(jsonDir, 'App'));
+    fs.writeFileSync(path.join(jsonDir, 'hello', 'Hello.cs'), 'class MyApp {}');
+    fs.writeFileSync(path.join(jsonDir, 'mix.md'), ' - [hello](./hello) {to:"."} `demo` Say hello\n');
+
+    const list = runCli('--json');
+    assert.strictEqual(list.status, 0, list.stderr);
+    assert.deepStrictEqual(JSON.parse(list.stdout).map(l => [l.name, l.tags]), [['hello', ['demo']]]);
+
+    // Verbose output and progress messages don't end up in stdout
+    const applied = runCli('--json', '-y', '-v', 'hello');
+    assert.strictEqual(applied.status, 0, applied.stderr);
+    assert.deepStrictEqual(JSON.parse(applied.stdout), {
+        command: 'apply',
+        ok: true,
+        dryRun: false,
+        gists: [{ alias: 'hello', url: path.join(jsonDir, 'hello'), files: [{ path: 'Hello.cs', action: 'created' }], init: [] }],
+        errors: [],
+    });
+    assert.ok(applied.stderr.includes('Settings:'), 'Verbose output should be written to stderr');
+    assert.strictEqual(fs.readFileSync(path.join(jsonDir, 'App', 'Hello.cs'), 'utf8'), 'class App {}');
+
+    const deleted = runCli('--ndjson', '-y', '--delete', 'hello');
+    assert.strictEqual(deleted.status, 0, deleted.stderr);
+    assert.ok(deleted.stdout.endsWith('\n'));
+    assert.deepStrictEqual(deleted.stdout.trim().split('\n').map(line => JSON.parse(line)), [
+        { type: 'file', gist: 'hello', path: 'Hello.cs', action: 'deleted' },
+        { type: 'result', command: 'delete', ok: true, dryRun: false },
+    ]);
+
+    // Failed runs still write their result
+    const failed = runCli('--json', '-y', 'missing');
+    assert.strictEqual(failed.status, 1);
+    const failedResult = JSON.parse(failed.stdout);
+    assert.strictEqual(failedResult.ok, false);
+    assert.strictEqual(failedResult.errors.length, 1);
+    assert.ok(failed.stderr.includes(failedResult.errors[0]));
+} finally {
+    fs.rmSync(jsonDir, { recursive: true, force: true });
+}
+
+console.log('✓ JSON output tests passed');
+
+// Test mixers with injected adapters
+console.log('Testing createMixer...');
+
+const registryId = '1'.repeat(32);
+const helloId = '2'.repeat(32);
+const teamRegistryId = '3'.repeat(32);
+const mixerGists = {
+    [`/gists/${registryId}`]: {
+        files: { 'mix.md': { content: ` - [hello](https://gist.github.com/gistlyn/${helloId}) {to:"."} \`demo\` Say hello\n` } },
+        history: [{ version: 'r1' }]
+    },
+    [`/gists/${helloId}`]: {
+        files: { 'Hello.cs': { content: 'class MyApp {}' } },
+        history: [{ version: 'h1' }]
+    },
+    [`/gists/${teamRegistryId}`]: {
+        files: { 'mix.md': { content: ` - [hello](https://gist.github.com/acme/${helloId}) {} Team hello\n - [greet](https://gist.github.com/acme/${helloId}) {deps:"hello"} Greet\n` } },
+        history: [{ version: 't1' }]
+    },
+};
+const requests = [];
+const fakeHttpRequest = async (url, options) => {
+    requests.push({ url, headers: options.headers });
+    const gist = mixerGists[new URL(url).pathname];
+    if (!gist) throw new Error(`HTTP 404: ${url}`);
+    return { statusCode: 200, headers: {}, data: JSON.stringify(gist) };
+};
+
+/**
+ * Run a test in a new project folder named `name`, with its own cache in MIX_CACHE_DIR. `options` create mixers for
+ * the project that write lines for people to `logs` instead of the console. The cwd and environment are restored
+ * and the folder removed afterwards, also when the test fails
+ */
+const withProject = async (name, fn) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'add-in-test-'));
+    const dir = path.join(root, name);
+    fs.mkdirSync(dir);
+    const logs = [];
+    const output = { write: text => logs.push(...text.replace(/\n$/, '').split('\n')) };
+    const options = { source: registryId, httpRequest: fakeHttpRequest, gitHubToken: 'secret', cacheTtl: 0, forceApproval: true, silent: true, output, cwd: dir };
+
+    const cwd = process.cwd();
+    const cacheDir = process.env.MIX_CACHE_DIR;
+    process.env.MIX_CACHE_DIR = path.join(root, 'cache');
+    process.chdir(dir);
+    try {
+        await fn({ dir, inDir: (...parts) => path.join(dir, ...parts), logs, output, options });
+    } finally {
+        process.chdir(cwd);
+        if (cacheDir === undefined) delete process.env.MIX_CACHE_DIR;
+        else process.env.MIX_CACHE_DIR = cacheDir;
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+};
+
+// Mixers don't share options so they can run side by side
+const testApply = () => withProject('Mixers', async ({ dir, inDir, output, options }) => {
+    const events = [];
+    const alpha = createMixer({ ...options, projectName: 'Alpha', outDir: 'alpha/' });
+    const beta = createMixer({ ...options, projectName: 'Beta', outDir: 'beta/' });
+    alpha.on('resolve', e => events.push(['resolve', e.gist]));
+    alpha.on('fileWrite', e => events.push(['fileWrite', e.gist, e.path, e.action]));
+    fs.mkdirSync(inDir('alpha'));
+    fs.mkdirSync(inDir('beta'));
+    requests.length = 0;
+
+    await Promise.all([alpha.apply(['hello']), beta.apply(['1'])]);
+    assert.strictEqual(fs.readFileSync(inDir('alpha', 'Hello.cs'), 'utf8'), 'class Alpha {}');
+    assert.strictEqual(fs.readFileSync(inDir('beta', 'Hello.cs'), 'utf8'), 'class Beta {}');
+    assert.deepStrictEqual(events, [['resolve', 'hello'], ['fileWrite', 'hello', inDir('alpha', 'Hello.cs'), 'created']]);
+    assert.ok(requests.length > 0 && requests.every(r => r.headers.Authorization === 'token secret'), 'Requests should use the GitHub token');
+
+    // Relative paths, the manifest and the undo journal are resolved from the cwd option
+    const projectDir = inDir('Gamma');
+    fs.mkdirSync(projectDir);
+    await createMixer({ ...options, cwd: projectDir }).apply(['hello']);
+    assert.strictEqual(fs.readFileSync(path.join(projectDir, 'Hello.cs'), 'utf8'), 'class Gamma {}');
+    assert.ok(fs.existsSync(path.join(projectDir, '.add-in', 'manifest.json')));
+    assert.ok(fs.existsSync(path.join(projectDir, '.add-in', 'history')));
+    assert.ok(!fs.existsSync(inDir('Hello.cs')));
+
+    // Declining the injected prompt writes nothing
+    const declined = createMixer({ source: registryId, httpRequest: fakeHttpRequest, cacheTtl: 0, cwd: dir, outDir: 'declined/', output, prompt: { confirm: async () => false } });
+    fs.mkdirSync(inDir('declined'));
+    await assert.rejects(declined.apply(['hello']), /Operation cancelled by user/);
+    assert.ok(!fs.existsSync(inDir('declined', 'Hello.cs')));
+});
+
+// A configured out folder is resolved from the config file, so it's the same from any subdirectory
+const testConfiguredOut = () => withProject('Omicron', async ({ inDir, options }) => {
+    fs.mkdirSync(inDir('src', 'Web'), { recursive: true });
+    fs.mkdirSync(inDir('tools', 'scripts'), { recursive: true });
+    for (const [out, expected] of [['src/Web', path.join('src', 'Web', 'Hello.cs')], ['.', 'Hello.cs'], ['./src/', path.join('src', 'Hello.cs')]]) {
+        fs.writeFileSync(inDir('.add-inrc.json'), JSON.stringify({ out }));
+        const fromSubdir = inDir('tools', 'scripts');
+        const config = loadConfig({ cwd: fromSubdir, home: null });
+        await createMixer({ ...options, projectName: 'Omicron', cwd: fromSubdir, ...config.options }).apply(['hello']);
+        assert.strictEqual(fs.readFileSync(inDir(expected), 'utf8'), 'class Omicron {}', `out: ${out}`);
+    }
+});
+
+// Interrupting an apply rolls back what it wrote and fails any later writes
+const testInterrupt = () => withProject('Interrupted', async ({ inDir, logs, options }) => {
+    const interrupted = createMixer({ ...options, outDir: 'interrupted/' });
+    const interrupts = [];
+    interrupted.on('fileWrite', () => interrupted.interrupt());
+    interrupted.on('interrupt', e => interrupts.push(e.rollbacks));
+    fs.mkdirSync(inDir('interrupted'));
+    await assert.rejects(interrupted.apply(['hello']), /Interrupted/);
+    assert.deepStrictEqual(interrupts, [[{ restored: 0, removed: 1, errors: [] }]]);
+    assert.ok(logs.includes('Rolled back: restored 0 files, removed 1 new file'));
+    assert.ok(!fs.existsSync(inDir('interrupted', 'Hello.cs')));
+});
+
+// Archives can't write files outside the project with absolute paths or drive letters
+const testArchivePaths = () => withProject('Archives', async ({ inDir, options }) => {
+    fs.writeFileSync(inDir('absolute.tar'), createTar([['Good.cs', 'class Good {}'], [inDir('evil.txt'), 'evil']]));
+    fs.writeFileSync(inDir('drive.zip'), createZip([['Good.cs', 'class Good {}'], ['C:/evil.txt', 'evil']]));
+    await assert.rejects(createMixer(options).apply(['./absolute.tar']), /Invalid file name '.*evil\.txt', files must be written inside/);
+    await assert.rejects(createMixer(options).apply(['./drive.zip']), /Invalid file name 'C:\\evil\.txt'/);
+    assert.ok(!fs.existsSync(inDir('evil.txt')) && !fs.existsSync(inDir('Good.cs')) && !fs.existsSync(inDir('C:')));
+});
+
+// Template variables are replaced in file names and contents, from vars, a vars file, a prompt or their defaults
+const testTemplateVars = () => withProject('Theta', async ({ inDir, options }) => {
+    fs.mkdirSync(inDir('addin'));
+    fs.writeFileSync(inDir('addin', '_vars'), JSON.stringify([
+        { name: 'DbName', description: 'Database name' },
+        { name: 'Port', default: '5000', pattern: '^\\d+$' },
+    ]));
+    fs.writeFileSync(inDir('addin', '{{DbName}}.sql'), 'CREATE DATABASE {{DbName}}; -- port {{ Port }}');
+    await createMixer({ ...options, vars: { DbName: 'orders' } }).apply(['./addin']);
+    assert.strictEqual(fs.readFileSync(inDir('orders.sql'), 'utf8'), 'CREATE DATABASE orders; -- port 5000');
+
+    fs.writeFileSync(inDir('vars.env'), '# test values\nDbName=files\nPort=7000\n');
+    await createMixer({ ...options, varsFile: 'vars.env', vars: { Port: '8080' } }).apply(['./addin']);
+    assert.strictEqual(fs.readFileSync(inDir('files.sql'), 'utf8'), 'CREATE DATABASE files; -- port 8080', '-var should override the vars file');
+
+    await assert.rejects(createMixer(options).apply(['./addin']),
+        /Missing value for 'DbName' required by '.\/addin', use: -var DbName=<value>/);
+    await assert.rejects(createMixer({ ...options, vars: { DbName: 'bad', Port: 'http' } }).apply(['./addin']),
+        /Invalid value 'http' for 'Port' required by '.\/addin', must match \/\^\\d\+\$\//);
+    assert.ok(!fs.existsSync(inDir('bad.sql')));
+
+    const asked = [];
+    const askMixer = createMixer({ ...options, forceApproval: false, silent: false, prompt: {
+        confirm: async () => true,
+        ask: async v => { asked.push(v.name); return v.name === 'DbName' ? 'asked' : v.default; },
+    } });
+    await askMixer.apply(['./addin']);
+    assert.deepStrictEqual(asked, ['DbName', 'Port']);
+    assert.strictEqual(fs.readFileSync(inDir('asked.sql'), 'utf8'), 'CREATE DATABASE asked; -- port 5000');
+
+    // The default prompts read from the input stream and --json results are written to jsonOutput, not the process's stdio
+    const ttyInput = Object.assign(new PassThrough(), { isTTY: true, setRawMode: () => {} });
+    const ttyOutput = { write: text => {
+        if (text.includes('(DbName):')) setImmediate(() => ttyInput.write('typed\n'));
+        if (text.includes('(Port) [5000]:')) setImmediate(() => ttyInput.write('\n'));
+        if (text.includes('Proceed? (n/Y):')) setImmediate(() => ttyInput.write('y'));
+    } };
+    const jsonResults = [];
+    await createMixer({ ...options, forceApproval: false, silent: false, input: ttyInput, output: ttyOutput,
+        outputFormat: 'json', jsonOutput: { write: text => jsonResults.push(text) } }).apply(['./addin']);
+    assert.strictEqual(fs.readFileSync(inDir('typed.sql'), 'utf8'), 'CREATE DATABASE typed; -- port 5000');
+    const jsonResult = JSON.parse(jsonResults.join(''));
+    assert.deepStrictEqual([jsonResult.command, jsonResult.ok, jsonResult.gists[0].files], ['apply', true, [{ path: 'typed.sql', action: 'created' }]]);
+    await assert.rejects(createMixer({ ...options, input: { isTTY: false }, output: { isTTY: true, write: () => {} } }).pick(),
+        /Interactive mode requires a terminal/);
+
+    // The default prompt uses a variable's default for an empty answer and asks again until the pattern matches
+    const promptInput = new PassThrough();
+    const promptOutput = [];
+    const portVar = parseGistVars('[{"name":"Port","description":"HTTP port","default":"5000","pattern":"^\\\\d+$"}]', 'db')[0];
+    const answer = createPrompt({ write: text => promptOutput.push(text) }, promptInput).ask(portVar);
+    promptInput.write('http\n8080\n');
+    assert.strictEqual(await answer, '8080');
+    assert.ok(promptOutput.join('').includes('HTTP port (Port) [5000]: '));
+    assert.ok(promptOutput.join('').includes('Must match /^\\d+$/\n'));
+
+    const defaulted = createPrompt({ write: () => {} }, promptInput).ask(portVar);
+    promptInput.write('\n');
+    assert.strictEqual(await defaulted, '5000');
+
+    const cancelled = createPrompt({ write: () => {} }, promptInput).ask({ name: 'Host', pattern: null });
+    promptInput.end();
+    assert.strictEqual(await cancelled, null, 'Closing the input should cancel the prompt');
+});
+
+// Files whose conditions aren't met are skipped and reported with the reason
+const testFileConditions = () => withProject('Iota', async ({ inDir, logs, options }) => {
+    fs.mkdirSync(inDir('addin', 'Docs'), { recursive: true });
+    fs.writeFileSync(inDir('Iota.csproj'), '<Project><PropertyGroup><TargetFramework>net8.0</TargetFramework></PropertyGroup></Project>');
+    fs.writeFileSync(inDir('Program.cs'), 'class Program {}');
+    fs.writeFileSync(inDir('addin', '_conditions'), JSON.stringify({
+        'Modern.cs': { targetFramework: '>=net8.0' },
+        'Legacy.cs': { targetFramework: '<net6.0' },
+        'Startup.cs': { notExists: 'Program.cs' },
+        'Configure.cs': { exists: ['MyApp.csproj', 'Program.cs'] },
+        'Redis.cs': { exists: 'appsettings.json' },
+        'Docs/*.md': { var: 'WithDocs=true' },
+    }));
+    for (const name of ['Modern.cs', 'Legacy.cs', 'Startup.cs', 'Configure.cs', 'Redis.cs', path.join('Docs', 'Guide.md')]) {
+        fs.writeFileSync(inDir('addin', name), `// ${name}`);
+    }
+    const resolved = [];
+    const conditionsMixer = createMixer({ ...options, verbose: true });
+    conditionsMixer.on('resolve', e => resolved.push(...e.skipped.map(f => [path.relative(inDir(), f.path), f.reason])));
+    await conditionsMixer.apply(['./addin']);
+    assert.deepStrictEqual(resolved.sort(), [
+        [path.join('Docs', 'Guide.md'), 'WithDocs is not set'],
+        ['Legacy.cs', "TargetFramework net8.0 isn't <net6.0"],
+        ['Redis.cs', "no file matching 'appsettings.json'"],
+        ['Startup.cs', "'Program.cs' exists"],
+    ]);
+    assert.ok(logs.includes(`Skipping ${inDir('Legacy.cs')}, TargetFramework net8.0 isn't <net6.0`));
+    assert.ok(fs.existsSync(inDir('Modern.cs')) && fs.existsSync(inDir('Configure.cs')));
+    assert.ok(!fs.existsSync(inDir('Legacy.cs')) && !fs.existsSync(inDir('Startup.cs')) && !fs.existsSync(inDir('Docs')));
+
+    await createMixer({ ...options, vars: { WithDocs: 'TRUE' } }).apply(['./addin']);
+    assert.ok(fs.existsSync(inDir('Docs', 'Guide.md')), 'Var conditions should ignore case');
+
+    fs.writeFileSync(inDir('addin', '_conditions'), '{"Modern.cs":{"var":"WithDocs"}}');
+    await assert.rejects(createMixer(options).apply(['./addin']), /Invalid var condition 'WithDocs', e\.g\. 'UseTailwind=true'/);
+});
+
+// A failing _init command or write restores changed files and removes new ones
+const testRollback = () => withProject('Epsilon', async ({ inDir, options }) => {
+    fs.mkdirSync(inDir('addin'));
+    fs.writeFileSync(inDir('package.json'), '{}');
+    fs.writeFileSync(inDir('Existing.cs'), 'class Existing {}');
+    fs.writeFileSync(inDir('init.js'),
+        "require('fs').writeFileSync('package.json', '{\"x\":1}'); require('fs').writeFileSync('package-lock.json', '{}'); process.exit(1);");
+    fs.writeFileSync(inDir('addin', '_init'), 'node init.js');
+    fs.writeFileSync(inDir('addin', 'Hello.cs'), 'class MyApp {}');
+    await assert.rejects(createMixer({ ...options, initAllowlist: ['node'] }).apply(['./addin']), /Command 'node init.js' exited with code 1/);
+    assert.strictEqual(fs.readFileSync(inDir('package.json'), 'utf8'), '{}');
+    assert.ok(!fs.existsSync(inDir('package-lock.json')), 'Files created by _init commands should be removed');
+    assert.ok(!fs.existsSync(inDir('Hello.cs')));
+
+    fs.rmSync(inDir('addin', '_init'));
+    fs.mkdirSync(inDir('addin', 'New'));
+    fs.writeFileSync(inDir('addin', 'Existing.cs'), 'class Overwritten {}');
+    fs.writeFileSync(inDir('addin', 'New', 'Created.cs'), 'class Created {}');
+    fs.writeFileSync(inDir('addin', 'Zed.cs'), 'class Zed {}');
+    const failingFs = { ...fs, writeFileSync: (file, ...args) => {
+        if (String(file).endsWith('Zed.cs')) throw new Error('ENOSPC: no space left on device');
+        return fs.writeFileSync(file, ...args);
+    } };
+    const failingMixer = createMixer({ ...options, fs: failingFs });
+    const written = [];
+    failingMixer.on('fileWrite', e => written.push(path.relative(inDir(), e.path)));
+    await assert.rejects(failingMixer.apply(['./addin']), /ENOSPC/);
+    assert.deepStrictEqual(written.sort(), ['Existing.cs', 'Hello.cs', path.join('New', 'Created.cs')]);
+    assert.strictEqual(fs.readFileSync(inDir('Existing.cs'), 'utf8'), 'class Existing {}');
+    assert.ok(!fs.existsSync(inDir('Hello.cs')));
+    assert.ok(!fs.existsSync(inDir('New')), 'New folders should be removed');
+    assert.ok(!fs.existsSync(inDir('.add-in')), 'Failed applies should not be recorded');
+});
+
+// Each apply is journaled with the original contents of the files it changed, so it can be undone
+const testUndo = () => withProject('Zeta', async ({ inDir, logs, options }) => {
+    fs.mkdirSync(inDir('addin', 'New'), { recursive: true });
+    fs.mkdirSync(inDir('other'));
+    fs.writeFileSync(inDir('Existing.cs'), 'class Existing {}');
+    fs.writeFileSync(inDir('appsettings.json'), '{"Port":5000}');
+    fs.writeFileSync(inDir('addin', 'Existing.cs'), 'class Overwritten {}');
+    fs.writeFileSync(inDir('addin', 'New', 'Created.cs'), 'class Created {}');
+    fs.writeFileSync(inDir('addin', 'appsettings.json.patch'), '[{"op":"add","path":"/Redis","value":"localhost"}]');
+    fs.writeFileSync(inDir('other', 'Other.cs'), 'class Other {}');
+    const undoOptions = { ...options, silent: false };
+    await createMixer(undoOptions).apply(['./addin']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(inDir('appsettings.json'), 'utf8')), { Port: 5000, Redis: 'localhost' });
+
+    const [firstId] = fs.readdirSync(inDir('.add-in', 'history'));
+    const journal = JSON.parse(fs.readFileSync(inDir('.add-in', 'history', firstId, 'journal.json'), 'utf8'));
+    const journaled = Object.fromEntries(journal.files.filter(f => !f.internal).map(f => [f.path, f.preImage !== null]));
+    assert.deepStrictEqual(journaled, { 'Existing.cs': true, 'New/Created.cs': false, 'appsettings.json': true });
+    assert.deepStrictEqual(journal.dirs, ['New', '.add-in']);
+    assert.deepStrictEqual(journal.gists, ['./addin']);
+
+    await createMixer(undoOptions).apply(['./other']);
+    logs.length = 0;
+    await createMixer(undoOptions).undo([], { list: true });
+    const listed = logs.filter(l => /^ +\d+\. /.test(l));
+    assert.strictEqual(listed.length, 2);
+    assert.ok(listed[0].includes('./other (1 file)') && listed[1].includes(`${firstId} `) && listed[1].includes('./addin (3 files)'), 'Applies are listed most recent first');
+    await assert.rejects(createMixer(undoOptions).undo(['nope']), /No apply with id 'nope' found/);
+
+    // Undoing the last apply, then the first by id, restores the project as it was
+    await createMixer(undoOptions).undo([]);
+    assert.ok(!fs.existsSync(inDir('Other.cs')));
+    assert.strictEqual(fs.readFileSync(inDir('Existing.cs'), 'utf8'), 'class Overwritten {}');
+    await createMixer({ ...undoOptions, forceApproval: true }).undo([firstId]);
+    assert.strictEqual(fs.readFileSync(inDir('Existing.cs'), 'utf8'), 'class Existing {}');
+    assert.strictEqual(fs.readFileSync(inDir('appsettings.json'), 'utf8'), '{"Port":5000}');
+    assert.ok(!fs.existsSync(inDir('New')) && !fs.existsSync(inDir('appsettings.json.patch')), 'Created files and folders are removed');
+    assert.ok(!fs.existsSync(inDir('.add-in')), 'The manifest and history are removed with the last apply');
+    logs.length = 0;
+    await createMixer(undoOptions).undo([]);
+    assert.deepStrictEqual(logs, ['No add-ins have been applied that can be undone']);
+});
+
+// Add-ins writing different content to the same file conflict, identical files and patches don't
+const testWriteConflicts = () => withProject('Eta', async ({ inDir, options }) => {
+    for (const [name, shared] of [['first', 'class First {}'], ['second', 'class Second {}']]) {
+        fs.mkdirSync(inDir(name));
+        fs.writeFileSync(inDir(name, 'Shared.cs'), shared);
+        fs.writeFileSync(inDir(name, 'Same.cs'), 'class Same {}');
+        fs.writeFileSync(inDir(name, 'appsettings.json.patch'), `[{"op":"add","path":"/${name}","value":true}]`);
+    }
+    fs.writeFileSync(inDir('appsettings.json'), '{}');
+    const conflictError = await createMixer(options).apply(['./first', './second']).catch(e => e);
+    assert.match(conflictError.message, /^Multiple add-ins write different content to the same file:\n\n {2}\S*Shared\.cs\n {4}1\. \S*first\n {4}2\. \S*second\n\nRun without -y/);
+    assert.ok(!fs.existsSync(inDir('Shared.cs')) && !fs.existsSync(inDir('Same.cs')), 'Nothing should be written');
+
+    // Without a terminal to choose in, or when no choice is made, conflicts fail with what to do instead
+    await assert.rejects(createMixer({ ...options, forceApproval: false, silent: false, input: { isTTY: false } }).apply(['./first', './second']),
+        /Shared\.cs[\s\S]*Conflicting writes can't be resolved without a terminal, re-run interactively/);
+    await assert.rejects(createMixer({ ...options, forceApproval: false, silent: false, prompt: { confirm: async () => true, choose: async () => null } })
+        .apply(['./first', './second']), /No version of \S*Shared\.cs was chosen, re-run to choose which add-in's version to use/);
+    assert.ok(!fs.existsSync(inDir('Shared.cs')) && !fs.existsSync(inDir('Same.cs')), 'Nothing should be written');
+
+    const choices = [];
+    const chooser = createMixer({ ...options, forceApproval: false, silent: false, prompt: {
+        confirm: async () => true,
+        choose: async (message, count) => choices.push([message, count]) && 2,
+    } });
+    await chooser.apply(['./first', './second']);
+    assert.deepStrictEqual(choices, [[`Which version of ${inDir('Shared.cs')} should be used? (1-2):`, 2]]);
+    assert.strictEqual(fs.readFileSync(inDir('Shared.cs'), 'utf8'), 'class Second {}');
+    assert.strictEqual(fs.readFileSync(inDir('Same.cs'), 'utf8'), 'class Same {}');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(inDir('appsettings.json'), 'utf8')), { first: true, second: true });
+});
+
+// Truncated and binary gist files are downloaded in full from their raw_url and binary files are written byte-for-byte
+const testRawFiles = () => withProject('Kappa', async ({ inDir, logs, options }) => {
+    const rawId = '9'.repeat(32);
+    const rawUrl = name => `https://gist.githubusercontent.com/gistlyn/${rawId}/raw/${name}`;
+    const bigContent = `class MyApp {\n${'    // line\n'.repeat(100)}}\n`;
+    const logo = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x0a]);
+    const rawFiles = { [rawUrl('Big.cs')]: bigContent, [rawUrl('logo.png')]: logo, [rawUrl('Short.cs')]: 'class Short {' };
+    const rawGists = {
+        [`/gists/${rawId}`]: {
+            files: {
+                'Big.cs': { content: bigContent.slice(0, 20), truncated: true, size: bigContent.length, raw_url: rawUrl('Big.cs'), type: 'text/plain' },
+                'logo.png': { content: logo.toString('utf8'), size: logo.length, raw_url: rawUrl('logo.png'), type: 'image/png' },
+            },
+            history: [{ version: 'k1' }]
+        }
+    };
+    const rawRequests = [];
+    const rawHttpRequest = async (url, requestOptions) => {
+        if (rawFiles[url]) {
+            rawRequests.push([url, requestOptions.binary]);
+            return { statusCode: 200, headers: {}, data: Buffer.from(rawFiles[url]) };
+        }
+        return { statusCode: 200, headers: {}, data: JSON.stringify(rawGists[new URL(url).pathname]) };
+    };
+    const rawPreviews = [];
+    const rawOptions = { ...options, httpRequest: rawHttpRequest, forceApproval: false, silent: false,
+        prompt: { confirm: async message => rawPreviews.push(message) > 0 } };
+    await createMixer(rawOptions).apply([`https://gist.github.com/gistlyn/${rawId}`]);
+    assert.strictEqual(fs.readFileSync(inDir('Big.cs'), 'utf8'), bigContent.replace('MyApp', 'Kappa'));
+    assert.ok(fs.readFileSync(inDir('logo.png')).equals(logo), 'Binary files should be written unchanged');
+    assert.deepStrictEqual(rawRequests.sort(), [[rawUrl('Big.cs'), true], [rawUrl('logo.png'), true]]);
+
+    // Raw files are cached, and a binary file that's the same as the project's is unchanged
+    logs.length = 0;
+    await createMixer({ ...rawOptions, showDiff: true }).apply([`https://gist.github.com/gistlyn/${rawId}`]);
+    assert.strictEqual(rawRequests.length, 2, 'Raw files should be downloaded once');
+    assert.ok(/ unchanged .*logo\.png\n/.test(rawPreviews[1]), 'The binary file should be unchanged');
+    assert.ok(!logs.some(l => l.startsWith('Binary file')), 'Unchanged binary files have no diff');
+    assert.ok(fs.readFileSync(inDir('logo.png')).equals(logo));
+
+    // A binary file that differs is shown without a diff
+    fs.writeFileSync(inDir('logo.png'), Buffer.from([0x00, 0x01]));
+    logs.length = 0;
+    await createMixer({ ...rawOptions, showDiff: true }).apply([`https://gist.github.com/gistlyn/${rawId}`]);
+    assert.ok(logs.includes('Binary file logo.png differs'));
+    assert.ok(fs.readFileSync(inDir('logo.png')).equals(logo));
+
+    // Downloads shorter than the file's size fail rather than writing part of it
+    rawGists[`/gists/${rawId}`].files = {
+        'Short.cs': { content: 'class', truncated: true, size: 1000, raw_url: rawUrl('Short.cs'), type: 'text/plain' },
+    };
+    await assert.rejects(createMixer(rawOptions).apply([`https://gist.github.com/gistlyn/${rawId}`]),
+        /File 'Short\.cs' in '.*' is too large to download \(1000 bytes\)/);
+    assert.ok(!fs.existsSync(inDir('Short.cs')));
+});
+
+// Applies are recorded in the manifest, applying a gist again replaces its entry and deleting it removes it
+const testManifest = () => withProject('Mu', async ({ inDir, options }) => {
+    const readManifestGists = () => JSON.parse(fs.readFileSync(inDir('.add-in', 'manifest.json'), 'utf8')).gists;
+    const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+    fs.mkdirSync(inDir('settings'));
+    fs.writeFileSync(inDir('appsettings.json'), '{}');
+    fs.writeFileSync(inDir('settings', 'appsettings.json.patch'), '[{"op":"add","path":"/Redis","value":"localhost"}]');
+    fs.writeFileSync(inDir('settings', 'Settings.cs'), 'class Settings {}');
+    await createMixer(options).apply(['hello']);
+    const [helloEntry] = readManifestGists();
+    assert.deepStrictEqual({ ...helloEntry, appliedAt: undefined }, {
+        alias: 'hello',
+        url: `https://gist.github.com/${helloId}`,
+        gistId: helloId,
+        revision: 'h1',
+        to: '.',
+        projectName: 'Mu',
+        replaceTokens: [],
+        appliedAt: undefined,
+        files: [{ path: 'Hello.cs', source: 'Hello.cs', hash: sha256('class Mu {}') }],
+    });
+    assert.ok(!isNaN(Date.parse(helloEntry.appliedAt)));
+
+    await createMixer({ ...options, vars: { Unused: '1' } }).apply(['./settings']);
+    await createMixer({ ...options, replaceTokens: [['class', 'record']] }).apply(['hello']);
+    const manifestEntries = readManifestGists();
+    assert.deepStrictEqual(manifestEntries.map(g => g.alias), ['./settings', 'hello'], 'Applying again should replace the entry');
+    assert.deepStrictEqual(manifestEntries[1].replaceTokens, [['class', 'record']]);
+    assert.strictEqual(manifestEntries[1].files[0].hash, sha256('record Mu {}'));
+    assert.deepStrictEqual(manifestEntries[0].files.map(f => [f.path, f.source, !!f.patched]).sort(),
+        [['Settings.cs', 'Settings.cs', false], ['appsettings.json', 'appsettings.json.patch', true]]);
+    assert.ok(!('vars' in manifestEntries[0]), 'Only declared vars are recorded');
+
+    // Deleting uses the recorded files, even if the gist has changed since, and leaves patched files as they are
+    const renamedHttpRequest = async (url, requestOptions) => new URL(url).pathname === `/gists/${helloId}`
+        ? { statusCode: 200, headers: {}, data: JSON.stringify({ files: { 'Renamed.cs': { content: 'class MyApp {}' } }, history: [{ version: 'h2' }] }) }
+        : fakeHttpRequest(url, requestOptions);
+    await createMixer({ ...options, httpRequest: renamedHttpRequest }).delete(['hello']);
+    assert.ok(!fs.existsSync(inDir('Hello.cs')));
+    assert.deepStrictEqual(readManifestGists().map(g => g.alias), ['./settings']);
+
+    await createMixer(options).delete(['./settings']);
+    assert.ok(!fs.existsSync(inDir('Settings.cs')));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(inDir('appsettings.json'), 'utf8')), { Redis: 'localhost' });
+    assert.deepStrictEqual(readManifestGists(), []);
+});
+
+// Repository folders are listed with the trees API and their files downloaded from raw.githubusercontent.com
+const testRepositories = () => withProject('Nu', async ({ inDir, options }) => {
+    const repoSha = 'c'.repeat(40);
+    const api = route => `https://api.github.com/repos/acme/${route}`;
+    const raw = (repo, file) => `https://raw.githubusercontent.com/acme/${repo}/${repoSha}/${file}`;
+    const repoResponses = {
+        [api('addins/commits/main')]: { sha: repoSha },
+        [api('addins/commits/v1.0')]: { sha: repoSha },
+        [api('addins/commits/HEAD')]: { sha: repoSha },
+        [api('addins/commits/feature%2Fx')]: { sha: repoSha },
+        [api(`addins/git/trees/${repoSha}?recursive=1`)]: { truncated: false, tree: [
+            { type: 'blob', path: 'README.md' },
+            { type: 'tree', path: 'redis' },
+            { type: 'blob', path: 'redis/Redis.cs' },
+            { type: 'blob', path: 'redis/Config/redis.json' },
+            { type: 'blob', path: 'redis/My File.txt' },
+            { type: 'blob', path: 'redisx/Other.cs' },
+        ] },
+        [raw('addins', 'README.md')]: '# Add-ins',
+        [raw('addins', 'redis/Redis.cs')]: 'class MyApp {}',
+        [raw('addins', 'redis/Config/redis.json')]: '{"host":"localhost"}',
+        [raw('addins', 'redis/My%20File.txt')]: 'notes',
+        [raw('addins', 'redisx/Other.cs')]: 'class Other {}',
+        [api('big/commits/main')]: { sha: repoSha },
+        [api(`big/git/trees/${repoSha}?recursive=1`)]: { truncated: true, tree: [] },
+        [api(`big/git/trees/${repoSha}`)]: { tree: [{ type: 'blob', path: 'src' }, { type: 'tree', path: 'src', sha: 's1' }] },
+        [api('big/git/trees/s1')]: { tree: [{ type: 'tree', path: 'redis', sha: 's2' }] },
+        [api('big/git/trees/s2?recursive=1')]: { truncated: false, tree: [{ type: 'blob', path: 'Big.cs' }] },
+        [raw('big', 'src/redis/Big.cs')]: 'class Big {}',
+        [api('empty/commits/HEAD')]: { sha: repoSha },
+        [api(`empty/git/trees/${repoSha}?recursive=1`)]: { truncated: false, tree: [{ type: 'tree', path: 'docs' }] },
+    };
+    const repoRequests = [];
+    const repoHttpRequest = async (url, requestOptions) => {
+        if (!(url in repoResponses)) throw Object.assign(new Error(`HTTP 404: ${url}`), { statusCode: 404 });
+        repoRequests.push(url);
+        const data = repoResponses[url];
+        return { statusCode: 200, headers: {}, data: requestOptions.binary ? Buffer.from(data) : JSON.stringify(data) };
+    };
+    const repoOptions = { ...options, httpRequest: repoHttpRequest };
+    await createMixer(repoOptions).apply(['https://github.com/acme/addins/tree/main/redis']);
+    assert.strictEqual(fs.readFileSync(inDir('Redis.cs'), 'utf8'), 'class Nu {}');
+    assert.strictEqual(fs.readFileSync(inDir('Config', 'redis.json'), 'utf8'), '{"host":"localhost"}');
+    assert.strictEqual(fs.readFileSync(inDir('My File.txt'), 'utf8'), 'notes');
+    assert.ok(!fs.existsSync(inDir('README.md')) && !fs.existsSync(inDir('Other.cs')), 'Files outside the folder should be skipped');
+    assert.deepStrictEqual(repoRequests.filter(url => url.startsWith('https://raw.')).sort(),
+        [raw('addins', 'redis/Config/redis.json'), raw('addins', 'redis/My%20File.txt'), raw('addins', 'redis/Redis.cs')]);
+    const repoManifest = JSON.parse(fs.readFileSync(inDir('.add-in', 'manifest.json'), 'utf8'));
+    assert.strictEqual(repoManifest.gists[0].revision, repoSha, 'The commit should be recorded as the revision');
+
+    // Refs can be given after a '#', without one the default branch is used
+    fs.mkdirSync(inDir('v1'));
+    repoRequests.length = 0;
+    await createMixer({ ...repoOptions, outDir: 'v1/' }).apply(['https://github.com/acme/addins#v1.0']);
+    assert.strictEqual(repoRequests[0], api('addins/commits/v1.0'));
+    assert.ok(fs.existsSync(inDir('v1', 'README.md')) && fs.existsSync(inDir('v1', 'redisx', 'Other.cs')));
+
+    // Refs with a '/' in /tree/ URLs are found by trying each leading run of segments, or taken from #ref
+    repoRequests.length = 0;
+    fs.rmSync(inDir('Redis.cs'));
+    await createMixer(repoOptions).apply(['https://github.com/acme/addins/tree/feature/x/redis']);
+    assert.strictEqual(fs.readFileSync(inDir('Redis.cs'), 'utf8'), 'class Nu {}');
+    assert.strictEqual(repoRequests[0], api('addins/commits/feature%2Fx'));
+    repoRequests.length = 0;
+    await createMixer(repoOptions).apply(['https://github.com/acme/addins/tree/feature/x/redis#feature/x']);
+    assert.deepStrictEqual(repoRequests.filter(url => url.includes('/commits/')), [api('addins/commits/feature%2Fx')]);
+    await assert.rejects(createMixer(repoOptions).apply(['https://github.com/acme/addins/tree/nope/redis']),
+        /No branch, tag or commit found in 'https:\/\/github\.com\/acme\/addins\/tree\/nope\/redis'/);
+
+    // Truncated trees walk down to the folder and only list its files
+    repoRequests.length = 0;
+    await createMixer(repoOptions).apply(['https://github.com/acme/big/tree/main/src/redis']);
+    assert.strictEqual(fs.readFileSync(inDir('Big.cs'), 'utf8'), 'class Big {}');
+    assert.deepStrictEqual(repoRequests, [
+        api('big/commits/main'),
+        api(`big/git/trees/${repoSha}?recursive=1`),
+        api(`big/git/trees/${repoSha}`),
+        api('big/git/trees/s1'),
+        api('big/git/trees/s2?recursive=1'),
+        raw('big', 'src/redis/Big.cs'),
+    ]);
+    await assert.rejects(createMixer(repoOptions).apply(['https://github.com/acme/big/tree/main/src/nope']),
+        /Folder 'src\/nope' not found in 'https:\/\/github\.com\/acme\/big\/tree\/main\/src\/nope'/);
+    await assert.rejects(createMixer(repoOptions).apply(['https://github.com/acme/big/tree/main']),
+        /Repository 'acme\/big' has too many files to list, use a URL to one of its subfolders instead/);
+    await assert.rejects(createMixer(repoOptions).apply(['https://github.com/acme/empty']), /No files found in 'https:\/\/github\.com\/acme\/empty'/);
+    await assert.rejects(createMixer(repoOptions).apply(['https://github.com/acme']), /Invalid GitHub repository URL 'https:\/\/github\.com\/acme'/);
+});
+
+// Registries are merged in order, names that collide are prefixed and a failing registry is skipped
+const testRegistries = () => withProject('Registries', async ({ logs, output, options }) => {
+    const merged = createMixer({ ...options, source: [`ss=${registryId}`, `team=${teamRegistryId}`, `broken=${'4'.repeat(32)}`] });
+    const mergedLinks = await merged.getLinks();
+    assert.deepStrictEqual(mergedLinks.map(l => [l.name, l.registry, l.deps]),
+        [['hello', 'ss', []], ['team/hello', 'team', []], ['greet', 'team', ['team/hello']]]);
+    assert.deepStrictEqual(mergedLinks.map(l => l.qualifiedName), ['ss/hello', 'team/hello', 'team/greet']);
+    assert.deepStrictEqual(logs, [`Could not load registry broken: HTTP 404: https://api.github.com/gists/${'4'.repeat(32)}`]);
+    await assert.rejects(createMixer({ ...options, source: [`a=${'4'.repeat(32)}`, `b=${'5'.repeat(32)}`] }).getLinks(), /HTTP 404/);
+
+    // Names that collide in a registry without a prefix can't be renamed, the earlier registry's add-in is used
+    logs.length = 0;
+    const unprefixed = await createMixer({ ...options, source: [`ss=${registryId}`, teamRegistryId] }).getLinks();
+    assert.deepStrictEqual(unprefixed.map(l => [l.name, l.registry]), [['hello', 'ss'], ['hello', teamRegistryId], ['greet', teamRegistryId]]);
+    assert.deepStrictEqual(logs, [`Warning: 'hello' in ${teamRegistryId} is hidden by 'hello' in ss, give ${teamRegistryId} a prefix to apply it, e.g. -s team=${teamRegistryId}`]);
+
+    // Retries are reported against the number of retries the mixer was created with
+    logs.length = 0;
+    await createMixer({ ...options, silent: false, retries: 5, httpRequest: async (url, requestOptions) => {
+        requestOptions.onRetry(new Error('HTTP 502: Bad Gateway'), 1, 1000, requestOptions.retries);
+        return fakeHttpRequest(url, requestOptions);
+    } }).getLinks();
+    assert.deepStrictEqual(logs, ['HTTP 502: Bad Gateway, retrying in 1s (1/5)...']);
+
+    // The functions exported before createMixer() still work, writing to stdout
+    logs.length = 0;
+    const write = process.stdout.write;
+    process.stdout.write = output.write;
+    try {
+        await printGistLinks('x', mergedLinks, null, 'Usage: x <name>');
+    } finally {
+        process.stdout.write = write;
+    }
+    assert.ok(logs.some(l => /^ {3}2\. team\/hello .* from: team/.test(l)), 'Links should be listed');
+    assert.strictEqual(logs[logs.length - 1], 'Usage: x <name>');
+});
+
+// Responses are cached for the TTL, then revalidated with their ETag
+const testCache = () => withProject('Cache', async ({ logs, options }) => {
+    const cachedId = '7'.repeat(32);
+    const etags = [];
+    let cachedResponse = () => ({ statusCode: 200, headers: { etag: '"v1"' }, data: JSON.stringify(mixerGists[`/gists/${registryId}`]) });
+    const cacheOptions = { ...options, source: cachedId, silent: false, httpRequest: async (url, requestOptions) => {
+        etags.push(requestOptions.headers['If-None-Match'] || null);
+        return cachedResponse();
+    } };
+    await createMixer({ ...cacheOptions, cacheTtl: 3600 }).getLinks();
+    await createMixer({ ...cacheOptions, cacheTtl: 3600 }).getLinks();
+    assert.deepStrictEqual(etags, [null]);
+    cachedResponse = () => ({ statusCode: 304, headers: {}, data: '' });
+    assert.strictEqual((await createMixer(cacheOptions).getLinks())[0].name, 'hello');
+    assert.deepStrictEqual(etags, [null, '"v1"']);
+
+    // --offline only uses the cache
+    assert.strictEqual((await createMixer({ ...cacheOptions, offline: true }).getLinks())[0].name, 'hello');
+    assert.strictEqual(etags.length, 2);
+    await assert.rejects(createMixer({ ...cacheOptions, source: '8'.repeat(32), offline: true }).getLinks(), /is not available offline/);
+
+    // Stale responses are used with a warning when GitHub can't be reached, but not when it refuses the request
+    cachedResponse = () => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); };
+    logs.length = 0;
+    assert.strictEqual((await createMixer(cacheOptions).getLinks())[0].name, 'hello');
+    assert.strictEqual(logs.length, 1);
+    assert.ok(logs[0].startsWith(`Warning: connect ECONNREFUSED, using https://api.github.com/gists/${cachedId} cached at `));
+    cachedResponse = () => { throw Object.assign(new Error('API rate limit exceeded for api.github.com'), { statusCode: 403 }); };
+    await assert.rejects(createMixer(cacheOptions).getLinks(), /API rate limit exceeded/);
+});
+
+// Linting a registry also checks each add-in can be fetched
+const testLint = () => withProject('Lint', async ({ inDir, logs, options }) => {
+    fs.writeFileSync(inDir('mix.md'), ` - [hello](https://gist.github.com/gistlyn/${helloId}) {} Hello\n - [gone](https://gist.github.com/gistlyn/${'6'.repeat(32)}) {} Gone\n`);
+    await assert.rejects(createMixer(options).lint('./mix.md'), /Found 1 problem$/);
+    assert.ok(logs.includes(`./mix.md:2: Could not fetch 'gone': HTTP 404: https://api.github.com/gists/${'6'.repeat(32)}`));
+
+    // Platform specific locations are warnings that don't fail the lint, locations lint rejects fail to apply
+    fs.writeFileSync(inDir('mix.md'), ` - [hello](https://gist.github.com/gistlyn/${helloId}) {to:"/srv/app"} Hello\n`);
+    logs.length = 0;
+    assert.strictEqual(await createMixer(options).lint('./mix.md'), false);
+    assert.ok(logs.includes(`./mix.md:1: warning: Invalid to:"/srv/app" of 'hello', absolute paths can't be used on Windows`));
+    assert.ok(logs.includes('./mix.md: 1 add-ins, no problems found'));
+    fs.writeFileSync(inDir('mix.md'), ` - [hello](https://gist.github.com/gistlyn/${helloId}) {to:"./"} Hello\n`);
+    await assert.rejects(createMixer({ ...options, source: './mix.md' }).apply(['hello']),
+        /Invalid location '\.\/', expected a single folder name ending in '\/', e\.g\. 'src\/' required by 'hello'/);
+});
+
+// Updates merge local changes with the latest version and are journaled so they can be undone
+const testUpdate = () => withProject('Delta', async ({ inDir, logs, options }) => {
+    const deltaFile = inDir('Hello.cs');
+    const deltaManifest = inDir('.add-in', 'manifest.json');
+    const updateGists = {
+        [`/gists/${helloId}`]: { files: { 'Hello.cs': { content: 'class MyApp {\n}\n' } }, history: [{ version: 'h1' }] },
+    };
+    updateGists[`/gists/${helloId}/h1`] = updateGists[`/gists/${helloId}`];
+    const updateOptions = { ...options, httpRequest: async (url, requestOptions) => updateGists[new URL(url).pathname]
+        ? { statusCode: 200, headers: {}, data: JSON.stringify(updateGists[new URL(url).pathname]) }
+        : fakeHttpRequest(url, requestOptions) };
+    await createMixer(updateOptions).apply(['hello']);
+    fs.writeFileSync(deltaFile, '// local\nclass Delta {\n}\n');
+
+    updateGists[`/gists/${helloId}`] = { files: { 'Hello.cs': { content: 'class MyApp {\n}\n// latest\n' } }, history: [{ version: 'h2' }] };
+    assert.strictEqual(await createMixer(updateOptions).update(['hello']), true);
+    assert.strictEqual(fs.readFileSync(deltaFile, 'utf8'), '// local\nclass Delta {\n}\n// latest\n');
+    assert.strictEqual(JSON.parse(fs.readFileSync(deltaManifest, 'utf8')).gists[0].revision, 'h2');
+
+    logs.length = 0;
+    await createMixer({ ...updateOptions, silent: false }).undo([], { list: true });
+    assert.strictEqual(logs.filter(l => / {2}hello \(1 file\)$/.test(l)).length, 2, 'The apply and update should both be journaled');
+    await createMixer(updateOptions).undo([]);
+    assert.strictEqual(fs.readFileSync(deltaFile, 'utf8'), '// local\nclass Delta {\n}\n');
+    assert.strictEqual(JSON.parse(fs.readFileSync(deltaManifest, 'utf8')).gists[0].revision, 'h1');
+
+    // Without a recorded revision, local changes are shown and only replaced when confirmed
+    const manifest = JSON.parse(fs.readFileSync(deltaManifest, 'utf8'));
+    delete manifest.gists[0].revision;
+    fs.writeFileSync(deltaManifest, JSON.stringify(manifest));
+    const prompts = [];
+    const noBase = replace => createMixer({
+        ...updateOptions,
+        forceApproval: false,
+        silent: false,
+        prompt: { confirm: async message => prompts.push(message) && (replace || !message.startsWith('Replace it with')) },
+    });
+    logs.length = 0;
+    await noBase(false).update(['hello']);
+    assert.strictEqual(fs.readFileSync(deltaFile, 'utf8'), '// local\nclass Delta {\n}\n');
+    assert.deepStrictEqual(prompts.slice(0, 1), ['Replace it with hello@h2?']);
+    assert.ok(logs.includes('Hello.cs was modified locally and can\'t be merged without the revision \'hello\' was applied from'));
+    assert.ok(logs.includes('+// latest') && logs.includes('-// local'), 'A two-way diff should be shown');
+    assert.ok(/ kept {7}.*Hello\.cs \(modified locally\)\n/.test(prompts[1]), 'The file should be kept');
+
+    fs.writeFileSync(deltaManifest, JSON.stringify(manifest));
+    prompts.length = 0;
+    await noBase(true).update(['hello']);
+    assert.strictEqual(fs.readFileSync(deltaFile, 'utf8'), 'class Delta {\n}\n// latest\n');
+
+    // A file that's already the same as the latest version is unchanged, rather than a conflict
+    fs.writeFileSync(deltaManifest, JSON.stringify(manifest));
+    prompts.length = 0;
+    await noBase(true).update(['hello']);
+    assert.strictEqual(prompts.length, 1);
+    assert.ok(/ unchanged .*Hello\.cs\n/.test(prompts[0]), 'The file should be unchanged');
+    assert.strictEqual(fs.readFileSync(deltaFile, 'utf8'), 'class Delta {\n}\n// latest\n');
+});
+
+const testMixers = async () => {
+    for (const test of [testApply, testConfiguredOut, testInterrupt, testArchivePaths, testTemplateVars, testFileConditions, testRollback,
+        testUndo, testWriteConflicts, testRawFiles, testManifest, testRepositories, testRegistries, testCache, testLint, testUpdate]) {
+        await test();
+    }
+};
+
+// Test the default HTTP adapter against a local server
+const testHttpRequest = async () => {
+    const proxyVars = ['HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY'].flatMap(name => [name, name.toLowerCase()]);
+    const env = Object.fromEntries(proxyVars.map(name => [name, process.env[name]]));
+    proxyVars.forEach(name => delete process.env[name]);
+
+    const seen = [];
+    let failures = 0;
+    const server = http.createServer((req, res) => {
+        seen.push({ url: req.url, authorization: req.headers.authorization });
+        if (req.url === '/redirect') {
+            res.writeHead(302, { location: `http://127.0.0.1:${server.address().port}/final` });
+            res.end();
+        } else if (req.url === '/flaky' && failures++ < 2) {
+            res.writeHead(502);
+            res.end('Bad Gateway');
+        } else if (req.url === '/limited') {
+            res.writeHead(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 600) });
+            res.end('{"message":"API rate limit exceeded"}');
+        } else {
+            res.end(`ok ${req.url}`);
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const port = server.address().port;
+
+    try {
+        const redirected = await httpRequest(`http://localhost:${port}/redirect`, { headers: { Authorization: 'token secret' } });
+        assert.strictEqual(redirected.data, 'ok /final');
+        assert.deepStrictEqual(seen.map(r => r.authorization), ['token secret', undefined], 'Credentials should not be sent to other hosts');
+
+        const retries = [];
+        const flaky = await httpRequest(`http://127.0.0.1:${port}/flaky`, {
+            retryDelay: 1,
+            retries: 2,
+            onRetry: (e, attempt, delay, limit) => retries.push([e.message, attempt, delay, limit])
+        });
+        assert.strictEqual(flaky.data, 'ok /flaky');
+        assert.deepStrictEqual(retries, [['HTTP 502: Bad Gateway', 1, 1, 2], ['HTTP 502: Bad Gateway', 2, 2, 2]]);
+
+        await assert.rejects(httpRequest(`http://127.0.0.1:${port}/limited`),
+            /^Error: API rate limit exceeded for 127\.0\.0\.1:\d+, try again after .+ \(in 10 min\)\. Set the GITHUB_TOKEN/);
+        await assert.rejects(httpRequest(`http://127.0.0.1:${port}/limited`, { headers: { Authorization: 'token secret' } }),
+            e => e.statusCode === 403 && !e.message.includes('GITHUB_TOKEN'));
+
+        // Plain HTTP requests are sent to the proxy with the full URL unless NO_PROXY excludes their host
+        process.env.HTTP_PROXY = `127.0.0.1:${port}`;
+        process.env.NO_PROXY = 'localhost, .example.net';
+        seen.length = 0;
+        await httpRequest('http://example.org/page');
+        await httpRequest(`http://localhost:${port}/direct`);
+        assert.deepStrictEqual(seen.map(r => r.url), ['http://example.org/page', '/direct']);
+    } finally {
+        proxyVars.forEach(name => env[name] === undefined ? delete process.env[name] : process.env[name] = env[name]);
+        server.close();
+    }
+};
+
+testMixers()
+    .then(() => {
+        console.log('✓ createMixer tests passed');
+        console.log('Testing httpRequest...');
+        return testHttpRequest();
+    })
+    .then(() => {
+        console.log('✓ httpRequest tests passed');
+        console.log('✓ All tests passed!');
+    })
+    .catch((e) => {
+        console.error(e);
+        process.exit(1);
+    });
 